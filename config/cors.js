@@ -0,0 +1,24 @@
+// Origins the browser client may call the API from, shared by CORS and the
+// CSRF origin check. Read lazily; dotenv is loaded after modules are imported.
+const DEFAULT_ORIGINS = [
+    'https://modern-design-zeta.vercel.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'https://shielderabackend.onrender.com'
+];
+
+// Clean up the CORS_ORIGINS environment variable
+export const getAllowedOrigins = () => {
+    const cleanOrigins = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(origin => origin.length > 0);
+
+    return cleanOrigins.length > 0 ? cleanOrigins : DEFAULT_ORIGINS;
+};
+
+export const isAllowedOrigin = (origin) => {
+    return getAllowedOrigins().includes(origin) ||
+        // Allow the Render domain itself for internal requests
+        origin === 'https://shielderabackend.onrender.com';
+};
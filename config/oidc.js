@@ -0,0 +1,60 @@
+// OpenID Connect providers available for "Sign in with ..."
+// A provider is enabled once its client id and secret are set. The generic
+// `oidc` provider can point at any issuer, e.g. a local mock issuer.
+const providerDefinitions = {
+    google: {
+        name: 'Google',
+        issuer: () => 'https://accounts.google.com',
+        clientId: () => process.env.GOOGLE_CLIENT_ID,
+        clientSecret: () => process.env.GOOGLE_CLIENT_SECRET
+    },
+    microsoft: {
+        name: 'Microsoft',
+        // "common" accepts both personal and work accounts
+        issuer: () => `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID || 'common'}/v2.0`,
+        clientId: () => process.env.MICROSOFT_CLIENT_ID,
+        clientSecret: () => process.env.MICROSOFT_CLIENT_SECRET
+    },
+    oidc: {
+        name: () => process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+        issuer: () => process.env.OIDC_ISSUER,
+        clientId: () => process.env.OIDC_CLIENT_ID,
+        clientSecret: () => process.env.OIDC_CLIENT_SECRET
+    }
+};
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+// Callback URL registered with each provider
+const getRedirectUri = (provider) => {
+    const baseUrl = process.env.OIDC_REDIRECT_BASE_URL
+        || process.env.PRODUCTION_URL
+        || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl.replace(/\/$/, '')}/api/auth/oidc/${provider}/callback`;
+};
+
+// Returns the provider settings, or null if it is unknown or not configured
+export const getOidcProvider = (provider) => {
+    const definition = providerDefinitions[provider];
+    if (!definition) return null;
+
+    const config = {
+        id: provider,
+        name: resolve(definition.name),
+        issuer: resolve(definition.issuer),
+        clientId: resolve(definition.clientId),
+        clientSecret: resolve(definition.clientSecret),
+        redirectUri: getRedirectUri(provider),
+        scopes: ['openid', 'email', 'profile']
+    };
+
+    if (!config.issuer || !config.clientId || !config.clientSecret) return null;
+    return config;
+};
+
+export const getEnabledOidcProviders = () => {
+    return Object.keys(providerDefinitions)
+        .map(getOidcProvider)
+        .filter(Boolean)
+        .map(({ id, name }) => ({ id, name }));
+};
@@ -0,0 +1,55 @@
+// Every permission a role can be granted. Routes check these with
+// requirePermission(), roles themselves are stored in the database.
+export const PERMISSIONS = {
+    'users:read': 'View user accounts and statistics',
+    'users:create': 'Create user accounts',
+    'users:invite': 'Invite people by email to set up an account',
+    'users:update': 'Edit any user account',
+    'users:delete': 'Delete user accounts',
+    'users:assign-role': 'Change the role of a user',
+    'users:manage-security': 'Unlock accounts, manage sessions and force logouts',
+    'users:impersonate': 'Sign in as another user to see what they see',
+    'users:suspend': 'Suspend, ban and reinstate user accounts',
+    'profiles:read': 'View the profile directory',
+    'profiles:update': 'Edit any profile',
+    'profiles:delete': 'Delete any profile',
+    'contacts:read': 'View contact form submissions',
+    'contacts:update': 'Change the status of contact form submissions',
+    'contacts:delete': 'Delete contact form submissions',
+    'contacts:reply': 'Reply to contact form submissions',
+    'roles:read': 'View roles and their permissions',
+    'roles:manage': 'Create, edit and delete roles',
+    'security:manage': 'Change security policies such as required two-factor authentication',
+    'api-keys:manage': 'Create and revoke API keys for integrations',
+    'audit-logs:read': 'View the audit log'
+};
+
+export const isValidPermission = (permission) => {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+// Permissions an API key can be granted. Integrations don't act as a person,
+// so only endpoints that work without a logged-in user are offered.
+export const API_KEY_SCOPES = ['contacts:read', 'contacts:update', 'contacts:delete', 'users:read'];
+
+// Created on startup if missing. System roles can't be deleted, and the admin
+// role always holds every permission so nobody can lock themselves out.
+export const SYSTEM_ROLES = {
+    ADMIN: 'admin',
+    USER: 'user'
+};
+
+export const DEFAULT_ROLES = [
+    {
+        name: SYSTEM_ROLES.ADMIN,
+        description: 'Full access to every part of the application',
+        permissions: Object.keys(PERMISSIONS),
+        isSystem: true
+    },
+    {
+        name: SYSTEM_ROLES.USER,
+        description: 'Regular account that can manage its own data',
+        permissions: [],
+        isSystem: true
+    }
+];
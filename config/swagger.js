@@ -25,6 +25,24 @@ const options = {
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
                 },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'API key for integrations, limited to the scopes it was created with',
+                },
+                sessionCookie: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'connect.sid',
+                    description: 'Session cookie set by login when AUTH_MODE is session or both. Requests other than GET also need the X-CSRF-Token header',
+                },
+                csrfToken: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-CSRF-Token',
+                    description: 'Token from /api/auth/csrf-token, required on routes authenticated by cookies',
+                },
             },
             schemas: {
                 User: {
@@ -33,7 +51,18 @@ const options = {
                         _id: { type: 'string', description: 'The user’s ID' },
                         fullName: { type: 'string', description: 'The user’s full name' },
                         email: { type: 'string', format: 'email', description: 'The user’s email address' },
-                        role: { type: 'string', enum: ['admin', 'user'], description: 'The user’s role' },
+                        role: { type: 'string', description: 'The user’s role, see /api/roles', example: 'user' },
+                        accountStatus: {
+                            type: 'object',
+                            description: 'Whether the account may sign in',
+                            properties: {
+                                state: { type: 'string', enum: ['active', 'suspended', 'banned'] },
+                                reason: { type: 'string' },
+                                until: { type: 'string', format: 'date-time', description: 'End of a suspension' },
+                                changedBy: { type: 'string', description: 'Admin who last changed the status' },
+                                changedAt: { type: 'string', format: 'date-time' }
+                            }
+                        },
                         createdAt: { type: 'string', format: 'date-time', description: 'User creation timestamp' },
                         updatedAt: { type: 'string', format: 'date-time', description: 'User update timestamp' }
                     }
@@ -53,7 +82,7 @@ const options = {
                 }
             },
         },
-        security: [{ bearerAuth: [] }],
+        security: [{ bearerAuth: [] }, { sessionCookie: [], csrfToken: [] }],
     },
     apis: ['./src/routes/**/*.js', './src/controllers/**/*.js', './src/models/swaggerSchemas.js'],
 };
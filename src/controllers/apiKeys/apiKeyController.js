@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import ApiKey from '../../models/ApiKey.js';
+import { API_KEY_SCOPES } from '../../../config/permissions.js';
+import { generateApiKey } from '../../utils/apiKeys.js';
+
+const formatApiKey = (apiKey) => ({
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    revokedAt: apiKey.revokedAt,
+    revokedBy: apiKey.revokedBy,
+    status: apiKey.revokedAt
+        ? 'revoked'
+        : apiKey.expiresAt && apiKey.expiresAt <= new Date() ? 'expired' : 'active'
+});
+
+// List API keys, newest first
+export const getApiKeys = async (req, res) => {
+    try {
+        const { includeRevoked } = req.query;
+
+        const filter = includeRevoked === 'true' ? {} : { revokedAt: null };
+        const apiKeys = await ApiKey.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'fullName email')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                apiKeys: apiKeys.map(formatApiKey),
+                availableScopes: API_KEY_SCOPES
+            }
+        });
+    } catch (error) {
+        console.error('Error in getApiKeys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching API keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Create an API key; the key itself is only returned in this response
+export const createApiKey = async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+
+        if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name and at least one scope are required'
+            });
+        }
+
+        const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (invalidScopes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid scope(s): ${invalidScopes.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`
+            });
+        }
+
+        let expiryDate = null;
+        if (expiresAt) {
+            expiryDate = new Date(expiresAt);
+            if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'expiresAt must be a valid date in the future'
+                });
+            }
+        }
+
+        const { key, prefix, keyHash } = generateApiKey();
+        const apiKey = await ApiKey.create({
+            name,
+            prefix,
+            keyHash,
+            scopes: [...new Set(scopes)],
+            expiresAt: expiryDate,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now, it will not be shown again.',
+            data: {
+                apiKey: formatApiKey(apiKey),
+                key
+            }
+        });
+    } catch (error) {
+        console.error('Error in createApiKey:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get a single API key
+export const getApiKeyById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid API key ID'
+            });
+        }
+
+        const apiKey = await ApiKey.findById(id).populate('createdBy revokedBy', 'fullName email').lean();
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                apiKey: formatApiKey(apiKey)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getApiKeyById:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Revoke an API key; it stops working immediately
+export const revokeApiKey = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid API key ID'
+            });
+        }
+
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: id, revokedAt: null },
+            { revokedAt: new Date(), revokedBy: req.user._id },
+            { new: true }
+        );
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found or already revoked'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked successfully',
+            data: {
+                apiKey: formatApiKey(apiKey)
+            }
+        });
+    } catch (error) {
+        console.error('Error in revokeApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import AuditLog from '../../models/AuditLog.js';
+
+// List audit log entries, newest first, with optional filters
+export const getAuditLogs = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            action,
+            actor,
+            subject,
+            from,
+            to
+        } = req.query;
+
+        const filter = {};
+
+        if (action) {
+            filter.action = action;
+        }
+
+        for (const [field, value] of Object.entries({ actor, subject })) {
+            if (value) {
+                if (!mongoose.Types.ObjectId.isValid(value)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Invalid ${field} ID`
+                    });
+                }
+                filter[field] = value;
+            }
+        }
+
+        for (const [field, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+            if (value) {
+                const date = new Date(value);
+                if (isNaN(date.getTime())) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Invalid ${field} date; use an ISO 8601 date such as 2026-01-31`
+                    });
+                }
+                filter.createdAt = { ...filter.createdAt, [operator]: date };
+            }
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .populate('actor subject', 'fullName email')
+                .lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                logs,
+                pagination: {
+                    currentPage: pageNumber,
+                    totalPages: Math.ceil(total / pageSize),
+                    total,
+                    limit: pageSize,
+                    hasNext: pageNumber < Math.ceil(total / pageSize),
+                    hasPrev: pageNumber > 1
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAuditLogs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching audit logs',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
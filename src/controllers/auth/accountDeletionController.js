@@ -0,0 +1,110 @@
+import bcrypt from 'bcryptjs';
+import User from '../../models/User.js';
+import { cookieOptions } from '../../utils/authTokens.js';
+import { verifySecondFactor, TWO_FACTOR_SECRET_FIELDS } from '../../utils/totp.js';
+import { isDeletionPending, scheduleAccountDeletion, cancelAccountDeletion } from '../../utils/accountDeletion.js';
+import { sendAccountDeletionScheduledEmail } from '../../utils/emailVerification.js';
+
+// Delete the current user's account after a grace period. Confirmed with the
+// password, or a 2FA code for accounts without one.
+export const requestAccountDeletion = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password && !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password or verification code is required'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+        if (isDeletionPending(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Account is already scheduled for deletion'
+            });
+        }
+
+        let confirmed = false;
+        if (password) {
+            confirmed = !!user.password && await bcrypt.compare(password, user.password);
+        } else if (user.twoFactor?.enabled) {
+            confirmed = await verifySecondFactor(user, code);
+        }
+
+        if (!confirmed) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code'
+            });
+        }
+
+        const { cancelToken, deletionScheduledFor, revokedSessions } = await scheduleAccountDeletion(user, req);
+        res.clearCookie('refreshToken', cookieOptions);
+
+        // The account stays deactivated either way; without the email the user
+        // has to contact support to keep it
+        let emailSent = true;
+        try {
+            await sendAccountDeletionScheduledEmail(user, cancelToken, deletionScheduledFor);
+        } catch (emailError) {
+            console.error('Failed to send account deletion email:', emailError);
+            emailSent = false;
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: emailSent
+                ? 'Your account has been deactivated and will be deleted. Use the link in the email we sent you to keep it.'
+                : 'Your account has been deactivated and will be deleted. We could not send the cancellation email; contact support to keep your account.',
+            data: {
+                deletionScheduledFor,
+                revokedSessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Request account deletion error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Keep an account scheduled for deletion, from the link in the confirmation email
+export const cancelDeletion = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancellation token is required'
+            });
+        }
+
+        const user = await cancelAccountDeletion(token, req);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired link'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Your account will not be deleted. You can log in again.'
+        });
+
+    } catch (error) {
+        console.error('Cancel account deletion error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
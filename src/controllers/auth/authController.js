@@ -1,29 +1,26 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import User from '../../models/User.js';
-import { generateEmailVerificationToken, sendVerificationEmail, sendWelcomeEmail, sendPasswordResetEmail, sendPasswordResetSuccessEmail } from '../../utils/emailVerification.js';
-
-// Token generation helpers
-const generateAccessToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '15m' });
-};
-
-const generateRefreshToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.REFRESH_TOKEN_SECRET, { expiresIn: '7d' });
-};
-
-// Cookie configuration
-const cookieOptions = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000,
-    partitioned: process.env.NODE_ENV === 'production',
-    // Conditional domain setting
-    // ...(process.env.NODE_ENV === 'production'
-    //     ? { domain: process.env.COOKIE_DOMAIN || '.shielderas.org' }
-    //     : {}
-    // )
+import { sendVerificationEmail, sendWelcomeEmail, sendPasswordResetEmail, sendPasswordResetSuccessEmail, sendPasswordChangedEmail, sendEmailChangeConfirmationEmail, sendEmailChangedNoticeEmail, sendMagicLinkEmail } from '../../utils/emailVerification.js';
+import { getLoginBlock, sendLoginBlockedResponse, recordFailedLogin, clearFailedLogins } from '../../utils/loginThrottle.js';
+import { cookieOptions, generateAccessToken, issueRefreshToken, rotateRefreshToken, revokeRefreshToken, revokeSession, invalidateUserTokens, renewSessionTokens, isTokenVersionCurrent, signInUser, touchSession, getLoginChallenge } from '../../utils/authTokens.js';
+import { TOKEN_PURPOSES, createOneTimeToken, createEmailVerificationToken, consumeOneTimeToken, findValidOneTimeToken } from '../../utils/oneTimeTokens.js';
+import { recordLoginEvent, recordFailedAttempt, sendPasswordResetRequiredResponse } from '../../utils/loginHistory.js';
+import { getPasswordPolicy, validatePassword, formatPasswordErrors } from '../../utils/passwordPolicy.js';
+import { issueCsrfToken } from '../../middleware/csrf.js';
+import { isDeletionPending, sendDeletionPendingResponse } from '../../utils/accountDeletion.js';
+import { getAccountRestriction, sendAccountRestrictedResponse } from '../../utils/accountStatus.js';
+import { destroyCookieSession } from '../../utils/cookieSessions.js';
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Login history reasons for refresh token errors
+const REFRESH_FAILURE_REASONS = {
+    TokenExpiredError: 'refresh_token_expired',
+    RefreshTokenReuseError: 'refresh_token_reused',
+    RefreshTokenRevokedError: 'session_revoked',
+    JsonWebTokenError: 'invalid_refresh_token'
 };
 
 // Helper to sanitize user data
@@ -34,6 +31,36 @@ const sanitizeUser = (user) => {
     return userObj;
 };
 
+// Finish a login once the first factor has been checked: hand out a 2FA
+// challenge when needed, otherwise start a session and return the tokens
+const completeLogin = async (req, res, user) => {
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+        return res.status(200).json({
+            success: true,
+            message: challenge.twoFactorRequired
+                ? 'Two-factor authentication required'
+                : 'Two-factor authentication must be set up before logging in',
+            data: challenge
+        });
+    }
+
+    if (user.failedLoginAttempts > 0) {
+        await clearFailedLogins(user._id);
+    }
+
+    // Each login is recorded as a device session
+    const accessToken = await signInUser(req, res, user);
+
+    return res.status(200).json({
+        success: true,
+        data: {
+            user: sanitizeUser(user),
+            accessToken
+        }
+    });
+};
+
 // Signup Controller
 export const signup = async (req, res) => {
     try {
@@ -54,15 +81,17 @@ export const signup = async (req, res) => {
             });
         }
 
-        if (password.length < 8) {
+        const passwordErrors = validatePassword(password, { email, fullName });
+        if (passwordErrors.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 8 characters'
+                message: formatPasswordErrors(passwordErrors),
+                errors: passwordErrors
             });
         }
 
         // Check existing user
-        const existingUser = await User.findOne({ email });
+        const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
         if (existingUser) {
             return res.status(409).json({
                 success: false,
@@ -70,24 +99,20 @@ export const signup = async (req, res) => {
             });
         }
 
-        // Generate email verification token
-        const emailVerificationToken = generateEmailVerificationToken();
-        const emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-
         // Create user
         const hashedPassword = await bcrypt.hash(password, 12);
         const user = await User.create({
             email,
             password: hashedPassword,
             fullName,
-            isEmailVerified: false,
-            emailVerificationToken,
-            emailVerificationExpires
+            isEmailVerified: false
         });
 
+        const emailVerificationToken = await createEmailVerificationToken(user);
+
         // Send verification email (non-blocking)
         try {
-            sendVerificationEmail(user).catch(emailError => {
+            sendVerificationEmail(user, emailVerificationToken).catch(emailError => {
                 console.error('Failed to send verification email:', emailError);
                 // Don't fail the signup if email sending fails, but log it
             });
@@ -130,6 +155,26 @@ export const signup = async (req, res) => {
     }
 };
 
+// Password rules, so clients can show them before the user submits
+export const getPasswordRequirements = (req, res) => {
+    return res.status(200).json({
+        success: true,
+        data: {
+            policy: getPasswordPolicy()
+        }
+    });
+};
+
+// CSRF token for the cookie-authenticated routes; send it back in X-CSRF-Token
+export const getCsrfToken = (req, res) => {
+    return res.status(200).json({
+        success: true,
+        data: {
+            csrfToken: issueCsrfToken(req, res)
+        }
+    });
+};
+
 // Login Controller
 export const login = async (req, res) => {
     try {
@@ -146,40 +191,63 @@ export const login = async (req, res) => {
         if (!user) {
             // Don't reveal whether user exists for security
             await bcrypt.compare(password, '$2a$12$fakehashforsecurity'); // Dummy comparison
+            await recordFailedAttempt(req, { email, type: 'login', failureReason: 'unknown_user' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        // Refuse attempts while the account is locked or backing off
+        const loginBlock = getLoginBlock(user);
+        if (loginBlock) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: loginBlock.locked ? 'account_locked' : 'too_many_attempts' });
+            return sendLoginBlockedResponse(res, loginBlock);
+        }
+
         // Check if email is verified
         if (!user.isEmailVerified) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'email_not_verified' });
             return res.status(401).json({
                 success: false,
                 message: 'Please verify your email address before logging in'
             });
         }
 
-        const isMatch = await bcrypt.compare(password, user.password);
+        // Accounts created through a social login have no password to match
+        const isMatch = !!user.password && await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'invalid_credentials' });
+            const updatedUser = await recordFailedLogin(user._id);
+            const newBlock = updatedUser && getLoginBlock(updatedUser);
+            if (newBlock?.locked) {
+                return sendLoginBlockedResponse(res, newBlock);
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        const accessToken = generateAccessToken(user._id);
-        const refreshToken = generateRefreshToken(user._id);
+        // Deactivated until it is purged or the user keeps it from the confirmation email
+        if (isDeletionPending(user)) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'deletion_pending' });
+            return sendDeletionPendingResponse(res, user);
+        }
 
-        res.cookie('refreshToken', refreshToken, cookieOptions);
+        // Suspended or banned by an admin
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: `account_${restriction.state}` });
+            return sendAccountRestrictedResponse(res, restriction);
+        }
 
-        return res.status(200).json({
-            success: true,
-            data: {
-                user: sanitizeUser(user),
-                accessToken
-            }
-        });
+        if (user.passwordResetRequired) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'password_reset_required' });
+            return sendPasswordResetRequiredResponse(res);
+        }
+
+        return completeLogin(req, res, user);
 
     } catch (error) {
         console.error('Login error:', error);
@@ -202,12 +270,14 @@ export const refreshToken = async (req, res) => {
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+        // Verify and consume the token; a reused token revokes its whole family
+        const { userId, family, decoded } = await rotateRefreshToken(refreshToken);
 
         // Check user exists
-        const user = await User.findById(decoded.id);
+        const user = await User.findById(userId);
         if (!user) {
+            await recordFailedAttempt(req, { user: userId, type: 'refresh', failureReason: 'user_not_found' });
+            await revokeSession(family, 'user_not_found');
             res.clearCookie('refreshToken', cookieOptions);
             return res.status(401).json({  // Changed from 404 to 401
                 success: false,
@@ -215,9 +285,31 @@ export const refreshToken = async (req, res) => {
             });
         }
 
-        // Generate new tokens
-        const newAccessToken = generateAccessToken(user._id);
-        const newRefreshToken = generateRefreshToken(user._id);
+        // Tokens issued before a password reset, role change or forced logout
+        if (!isTokenVersionCurrent(decoded, user)) {
+            await recordFailedAttempt(req, { user, type: 'refresh', failureReason: 'token_version_changed' });
+            await revokeSession(family, 'token_version_changed');
+            res.clearCookie('refreshToken', cookieOptions);
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.'
+            });
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            await recordFailedAttempt(req, { user, type: 'refresh', failureReason: `account_${restriction.state}` });
+            await revokeSession(family, `account_${restriction.state}`);
+            res.clearCookie('refreshToken', cookieOptions);
+            return sendAccountRestrictedResponse(res, restriction);
+        }
+
+        await touchSession(family, req);
+        await recordLoginEvent(req, { user, type: 'refresh', success: true, sessionId: family });
+
+        // Generate new tokens, keeping the rotation chain
+        const newAccessToken = await generateAccessToken(user, family);
+        const newRefreshToken = await issueRefreshToken(user, family);
 
         // Set new refresh token cookie
         res.cookie('refreshToken', newRefreshToken, cookieOptions);
@@ -233,6 +325,10 @@ export const refreshToken = async (req, res) => {
         console.error('Refresh token error:', error);
         res.clearCookie('refreshToken', cookieOptions);
 
+        if (REFRESH_FAILURE_REASONS[error.name]) {
+            await recordFailedAttempt(req, { user: error.userId, type: 'refresh', failureReason: REFRESH_FAILURE_REASONS[error.name] });
+        }
+
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({  // Changed from 403 to 401
                 success: false,
@@ -240,6 +336,20 @@ export const refreshToken = async (req, res) => {
             });
         }
 
+        if (error.name === 'RefreshTokenReuseError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token has already been used. Please log in again.'
+            });
+        }
+
+        if (error.name === 'RefreshTokenRevokedError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.'
+            });
+        }
+
         if (error.name === 'JsonWebTokenError') {
             return res.status(401).json({
                 success: false,
@@ -255,12 +365,76 @@ export const refreshToken = async (req, res) => {
 };
 
 // Logout Controller
-export const logout = (req, res) => {
-    res.clearCookie('refreshToken', cookieOptions);
-    return res.json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+export const logout = async (req, res) => {
+    try {
+        const refreshToken = req.cookies.refreshToken;
+
+        // Revoke the server-side record so the cookie can't be replayed
+        if (refreshToken) {
+            await revokeRefreshToken(refreshToken);
+        }
+
+        // Cookie sessions are removed from the session store
+        if (req.session?.userId) {
+            await revokeSession(req.session.sid, 'logout');
+            await destroyCookieSession(req, res);
+        }
+
+        res.clearCookie('refreshToken', cookieOptions);
+        return res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.clearCookie('refreshToken', cookieOptions);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Unlock an account from the link in the account locked email
+export const unlockAccount = async (req, res) => {
+    try {
+        const { token, email } = req.query;
+
+        if (!token || !email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing token or email'
+            });
+        }
+
+        const unlockToken = await consumeOneTimeToken(token, TOKEN_PURPOSES.ACCOUNT_UNLOCK);
+        const user = unlockToken && await User.findOne({
+            _id: unlockToken.user,
+            email,
+            lockUntil: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired unlock link'
+            });
+        }
+
+        await clearFailedLogins(user._id);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Account unlocked. You can now log in.'
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
 };
 
 // Resend Verification Email Controller
@@ -292,18 +466,12 @@ export const resendVerificationEmail = async (req, res) => {
             });
         }
 
-        // Generate new verification token and expiration
-        const emailVerificationToken = generateEmailVerificationToken();
-        const emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-
-        // Update user with new token and expiration
-        user.emailVerificationToken = emailVerificationToken;
-        user.emailVerificationExpires = emailVerificationExpires;
-        await user.save();
+        // Replaces any earlier verification link
+        const emailVerificationToken = await createEmailVerificationToken(user);
 
         // Send verification email
         try {
-            await sendVerificationEmail(user);
+            await sendVerificationEmail(user, emailVerificationToken);
 
             return res.status(200).json({
                 success: true,
@@ -337,11 +505,11 @@ export const verifyEmail = async (req, res) => {
             });
         }
 
-        // Find user with the verification token and email
-        const user = await User.findOne({
-            email,
-            emailVerificationToken: token,
-            emailVerificationExpires: { $gt: Date.now() }
+        // A link for an address the account no longer uses doesn't verify anything
+        const verificationToken = await consumeOneTimeToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+        const user = verificationToken && verificationToken.data?.email === email && await User.findOne({
+            _id: verificationToken.user,
+            email
         });
 
         if (!user) {
@@ -353,8 +521,6 @@ export const verifyEmail = async (req, res) => {
 
         // Update user as verified
         user.isEmailVerified = true;
-        user.emailVerificationToken = undefined;
-        user.emailVerificationExpires = undefined;
         await user.save();
 
         // Send welcome email (non-blocking)
@@ -405,16 +571,11 @@ export const forgotPassword = async (req, res) => {
         }
 
         // Generate password reset token (expires in 1 hour)
-        const resetToken = jwt.sign(
-            { id: user._id },
-            process.env.RESET_TOKEN_SECRET,
-            { expiresIn: '1h' }
-        );
-
-        // Set reset token and expiration on user
-        user.passwordResetToken = resetToken;
-        user.passwordResetExpires = Date.now() + 3600000; // 1 hour
-        await user.save();
+        const resetToken = await createOneTimeToken({
+            userId: user._id,
+            purpose: TOKEN_PURPOSES.PASSWORD_RESET,
+            expiresInMs: PASSWORD_RESET_TTL_MS
+        });
 
         // Send password reset email (you'll need to implement this)
         try {
@@ -441,57 +602,147 @@ export const forgotPassword = async (req, res) => {
     }
 };
 
-// Verify Password Reset Token
-export const verifyResetToken = async (req, res) => {
+// Magic Link - email a single-use login link
+export const requestMagicLink = async (req, res) => {
     try {
-        const { token } = req.query;
+        const { email } = req.body;
 
-        if (!token) {
+        if (!email) {
             return res.status(400).json({
                 success: false,
-                message: 'Reset token is required'
+                message: 'Email is required'
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.RESET_TOKEN_SECRET);
+        const genericResponse = {
+            success: true,
+            message: 'If an account with that email exists, a login link has been sent'
+        };
+
+        // Don't reveal if user doesn't exist for security
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        // Login link (expires in 15 minutes)
+        const magicToken = await createOneTimeToken({
+            userId: user._id,
+            purpose: TOKEN_PURPOSES.MAGIC_LINK,
+            expiresInMs: MAGIC_LINK_TTL_MS
+        });
+
+        try {
+            await sendMagicLinkEmail(user, magicToken);
+            return res.status(200).json(genericResponse);
+        } catch (emailError) {
+            console.error('Failed to send magic link email:', emailError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send login link. Please try again later.'
+            });
+        }
 
-        // Check if user exists and token matches
-        const user = await User.findOne({
-            _id: decoded.id,
-            passwordResetToken: token,
-            passwordResetExpires: { $gt: Date.now() }
+    } catch (error) {
+        console.error('Request magic link error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
         });
+    }
+};
+
+// Magic Link - exchange the link token for the usual access token and refresh cookie
+export const verifyMagicLink = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Login token is required'
+            });
+        }
+
+        const magicToken = await consumeOneTimeToken(token, TOKEN_PURPOSES.MAGIC_LINK);
+        const user = magicToken && await User.findById(magicToken.user);
 
         if (!user) {
+            await recordFailedAttempt(req, { user: magicToken?.user, type: 'login', failureReason: 'invalid_magic_link' });
             return res.status(400).json({
                 success: false,
-                message: 'Invalid or expired reset token'
+                message: 'Invalid or expired login link'
             });
         }
 
-        return res.status(200).json({
-            success: true,
-            message: 'Reset token is valid'
-        });
+        const loginBlock = getLoginBlock(user);
+        if (loginBlock?.locked) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'account_locked' });
+            return sendLoginBlockedResponse(res, loginBlock);
+        }
+
+        if (isDeletionPending(user)) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'deletion_pending' });
+            return sendDeletionPendingResponse(res, user);
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: `account_${restriction.state}` });
+            return sendAccountRestrictedResponse(res, restriction);
+        }
+
+        if (user.passwordResetRequired) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'password_reset_required' });
+            return sendPasswordResetRequiredResponse(res);
+        }
+
+        // Following a link sent to the inbox proves ownership of the address
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            await user.save();
+        }
+
+        return completeLogin(req, res, user);
 
     } catch (error) {
-        console.error('Verify reset token error:', error);
+        console.error('Verify magic link error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
 
-        if (error.name === 'TokenExpiredError') {
+// Verify Password Reset Token
+export const verifyResetToken = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
             return res.status(400).json({
                 success: false,
-                message: 'Reset token has expired'
+                message: 'Reset token is required'
             });
         }
 
-        if (error.name === 'JsonWebTokenError') {
+        // Only checks the token; it is used up when the password is reset
+        const resetToken = await findValidOneTimeToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+        if (!resetToken) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid reset token'
+                message: 'Invalid or expired reset token'
             });
         }
 
+        return res.status(200).json({
+            success: true,
+            message: 'Reset token is valid'
+        });
+
+    } catch (error) {
+        console.error('Verify reset token error:', error);
         return res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -518,24 +769,28 @@ export const resetPassword = async (req, res) => {
             });
         }
 
-        if (newPassword.length < 8) {
+        // Look the user up first so a rejected password doesn't use up the link
+        const validToken = await findValidOneTimeToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+        const user = validToken && await User.findById(validToken.user);
+
+        if (!user) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 8 characters'
+                message: 'Invalid or expired reset token'
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.RESET_TOKEN_SECRET);
-
-        // Check if user exists and token matches
-        const user = await User.findOne({
-            _id: decoded.id,
-            passwordResetToken: token,
-            passwordResetExpires: { $gt: Date.now() }
-        });
+        const passwordErrors = validatePassword(newPassword, user);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: formatPasswordErrors(passwordErrors),
+                errors: passwordErrors
+            });
+        }
 
-        if (!user) {
+        // Use up the token so two requests can't both reset the password
+        if (!(await consumeOneTimeToken(token, TOKEN_PURPOSES.PASSWORD_RESET))) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid or expired reset token'
@@ -545,12 +800,14 @@ export const resetPassword = async (req, res) => {
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, 12);
 
-        // Update user password and clear reset token
+        // Update user password
         user.password = hashedPassword;
-        user.passwordResetToken = undefined;
-        user.passwordResetExpires = undefined;
+        user.passwordResetRequired = false;
         await user.save();
 
+        // Log out everywhere: whoever knew the old password may hold tokens
+        await invalidateUserTokens(user._id, 'password_reset');
+
         // Send password reset success email
         try {
             await sendPasswordResetSuccessEmail(user.email, user.fullName);
@@ -566,18 +823,242 @@ export const resetPassword = async (req, res) => {
 
     } catch (error) {
         console.error('Reset password error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
 
-        if (error.name === 'TokenExpiredError') {
+// Change Password - authenticated users, requires the current password
+export const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+
+        if (!currentPassword || !newPassword || !confirmPassword) {
             return res.status(400).json({
                 success: false,
-                message: 'Reset token has expired'
+                message: 'All fields are required'
             });
         }
 
-        if (error.name === 'JsonWebTokenError') {
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Passwords do not match'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+
+        const passwordErrors = validatePassword(newPassword, user);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: formatPasswordErrors(passwordErrors),
+                errors: passwordErrors
+            });
+        }
+
+        if (!user.password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account has no password yet. Use forgot password to set one.'
+            });
+        }
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 12);
+        await user.save();
+
+        // Sign out every other device, access tokens included; the one making
+        // the request stays logged in with fresh tokens
+        const revokedSessions = await invalidateUserTokens(user._id, 'password_changed', req.sessionId);
+        const accessToken = await renewSessionTokens(req, res, user._id);
+
+        sendPasswordChangedEmail(user).catch(emailError => {
+            console.error('Failed to send password changed email:', emailError);
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                revokedSessions,
+                ...(accessToken && { accessToken })
+            }
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Change Email - sends a confirmation link to the new address
+export const requestEmailChange = async (req, res) => {
+    try {
+        const { newEmail, password } = req.body;
+
+        if (!newEmail || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'New email and password are required'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+
+        const isMatch = !!user.password && await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        const normalizedEmail = newEmail.trim().toLowerCase();
+        if (normalizedEmail === user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'New email must be different from the current email'
+            });
+        }
+
+        const existingUser = await User.findOne({ email: normalizedEmail }).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email already exists'
+            });
+        }
+
+        user.pendingEmail = normalizedEmail;
+        await user.save();
+
+        const confirmationToken = await createOneTimeToken({
+            userId: user._id,
+            purpose: TOKEN_PURPOSES.EMAIL_CHANGE,
+            expiresInMs: EMAIL_CHANGE_TTL_MS,
+            data: { newEmail: normalizedEmail }
+        });
+
+        try {
+            await sendEmailChangeConfirmationEmail(user, normalizedEmail, confirmationToken);
+        } catch (emailError) {
+            console.error('Failed to send email change confirmation:', emailError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send confirmation email. Please try again later.'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'A confirmation link has been sent to your new email address'
+        });
+
+    } catch (error) {
+        console.error('Request email change error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Confirm Email Change - switches the address and notifies the old one
+export const confirmEmailChange = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation token is required'
+            });
+        }
+
+        // Look the user up first so a taken address doesn't use up the link
+        const validToken = await findValidOneTimeToken(token, TOKEN_PURPOSES.EMAIL_CHANGE);
+        const user = validToken && await User.findById(validToken.user);
+
+        // Only the latest requested change can be confirmed
+        if (!user || !user.pendingEmail || user.pendingEmail !== validToken.data?.newEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired confirmation link'
+            });
+        }
+
+        // The address may have been taken since the change was requested
+        const existingUser = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } }).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email already exists'
+            });
+        }
+
+        // Use up the link so two requests can't both apply the change
+        if (!(await consumeOneTimeToken(token, TOKEN_PURPOSES.EMAIL_CHANGE))) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid reset token'
+                message: 'Invalid or expired confirmation link'
+            });
+        }
+
+        const oldEmail = user.email;
+        user.email = user.pendingEmail;
+        user.isEmailVerified = true;
+        user.pendingEmail = undefined;
+        await user.save();
+
+        sendEmailChangedNoticeEmail(user, oldEmail).catch(emailError => {
+            console.error('Failed to send email changed notice:', emailError);
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Email address updated successfully',
+            data: {
+                email: user.email
+            }
+        });
+
+    } catch (error) {
+        console.error('Confirm email change error:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email already exists'
             });
         }
 
@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import LoginEvent from '../../models/LoginEvent.js';
+import { invalidateUserTokens } from '../../utils/authTokens.js';
+import { TOKEN_PURPOSES, createOneTimeToken, consumeOneTimeToken } from '../../utils/oneTimeTokens.js';
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const formatLoginEvent = (event, currentSessionId) => ({
+    id: event._id,
+    type: event.type,
+    success: event.success,
+    failureReason: event.failureReason,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    device: event.device,
+    newDevice: event.newDevice,
+    reportedAt: event.reportedAt,
+    createdAt: event.createdAt,
+    current: !!currentSessionId && event.session?.toString() === currentSessionId
+});
+
+// One page of a user's login history, newest first, filtered by type and outcome
+const findLoginHistory = async (userId, query) => {
+    const { page = 1, limit = 20, type, success } = query;
+
+    const filter = { user: userId };
+    if (type === 'login' || type === 'refresh') filter.type = type;
+    if (success === 'true' || success === 'false') filter.success = success === 'true';
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [events, total] = await Promise.all([
+        LoginEvent.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        LoginEvent.countDocuments(filter)
+    ]);
+
+    return {
+        events,
+        pagination: {
+            currentPage: pageNumber,
+            totalPages: Math.ceil(total / pageSize),
+            total,
+            limit: pageSize,
+            hasNext: pageNumber < Math.ceil(total / pageSize),
+            hasPrev: pageNumber > 1
+        }
+    };
+};
+
+// The current user's logins and refreshes, including failed attempts
+export const getMyLoginHistory = async (req, res) => {
+    try {
+        const { events, pagination } = await findLoginHistory(req.user._id, req.query);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                events: events.map(event => formatLoginEvent(event, req.sessionId)),
+                pagination
+            }
+        });
+    } catch (error) {
+        console.error('Get login history error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// A user's login history (Admin only)
+export const getUserLoginHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const user = await User.findById(id).select('fullName email');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { events, pagination } = await findLoginHistory(id, req.query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                user,
+                events: events.map(event => formatLoginEvent(event)),
+                pagination
+            }
+        });
+    } catch (error) {
+        console.error('Error in getUserLoginHistory:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching login history',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// "This wasn't me" from the new device email: sign out everywhere and
+// require a new password before the next password login
+export const reportLogin = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Report token is required'
+            });
+        }
+
+        const reportToken = await consumeOneTimeToken(token, TOKEN_PURPOSES.LOGIN_REPORT);
+        const user = reportToken && await User.findById(reportToken.user);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired link'
+            });
+        }
+
+        await LoginEvent.updateOne(
+            { _id: reportToken.data?.loginEventId, user: user._id },
+            { reportedAt: new Date() }
+        );
+
+        await User.updateOne({ _id: user._id }, { passwordResetRequired: true });
+        const revokedSessions = await invalidateUserTokens(user._id, 'login_reported');
+
+        // The link came from the user's inbox, so it can go straight to choosing a password
+        const resetToken = await createOneTimeToken({
+            userId: user._id,
+            purpose: TOKEN_PURPOSES.PASSWORD_RESET,
+            expiresInMs: PASSWORD_RESET_TTL_MS
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'You have been signed out everywhere. Choose a new password to secure your account.',
+            data: {
+                revokedSessions,
+                resetToken
+            }
+        });
+
+    } catch (error) {
+        console.error('Report login error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
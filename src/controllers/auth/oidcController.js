@@ -0,0 +1,203 @@
+import User from '../../models/User.js';
+import { getOidcProvider, getEnabledOidcProviders } from '../../../config/oidc.js';
+import { createOidcClient, generateRandomValue } from '../../utils/oidcClient.js';
+import { getLoginChallenge, signInUser, invalidateUserTokens } from '../../utils/authTokens.js';
+import { getLoginBlock, clearFailedLogins } from '../../utils/loginThrottle.js';
+import { isDeletionPending } from '../../utils/accountDeletion.js';
+import { getAccountRestriction } from '../../utils/accountStatus.js';
+import { recordFailedAttempt } from '../../utils/loginHistory.js';
+
+const STATE_COOKIE = 'oidc_state';
+
+// Holds state, nonce and PKCE verifier between the redirect and the callback.
+// Lax so the cookie survives the top-level redirect back from the provider.
+const stateCookieOptions = {
+    httpOnly: true,
+    signed: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 10 * 60 * 1000, // 10 minutes
+    path: '/api/auth/oidc'
+};
+
+// The browser always ends up back on the client app; the outcome is in the query string
+const redirectToClient = (res, params) => {
+    const clientUrl = process.env.CLIENT_URL || 'https://modern-design-zeta.vercel.app';
+    return res.redirect(`${clientUrl}/oauth/callback?${new URLSearchParams(params).toString()}`);
+};
+
+// Anyone can sign up with an address they don't own and set a password, so an
+// unverified account isn't trusted when the provider proves who owns the email:
+// its password is removed and its sessions ended before it is verified.
+// Returns the reloaded user.
+const claimUnverifiedAccount = async (user) => {
+    await User.updateOne({ _id: user._id }, { $unset: { password: 1 }, isEmailVerified: true });
+    await invalidateUserTokens(user._id, 'account_claimed');
+    return User.findById(user._id);
+};
+
+// Find the user for a provider account, linking or creating one by email when needed.
+// Returns { user } or { error } with a code the client can show a message for.
+const findOrCreateOidcUser = async (provider, claims) => {
+    const email = claims.email?.toLowerCase();
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    let user = await User.findOne({
+        identities: { $elemMatch: { provider, subject: claims.sub } }
+    });
+
+    if (user) {
+        if (emailVerified && !user.isEmailVerified && user.email === email) {
+            user = await claimUnverifiedAccount(user);
+        }
+        return { user };
+    }
+
+    if (!email) {
+        return { error: 'email_missing' };
+    }
+
+    const identity = { provider, subject: claims.sub, email };
+
+    user = await User.findOne({ email });
+    if (user) {
+        // Only link when the provider vouches for the address, otherwise anyone
+        // could take over an account by registering its email with a provider
+        if (!emailVerified) {
+            return { error: 'email_not_verified' };
+        }
+
+        if (!user.isEmailVerified) {
+            user = await claimUnverifiedAccount(user);
+        }
+        user.identities.push(identity);
+        await user.save();
+        return { user };
+    }
+
+    if (!emailVerified) {
+        return { error: 'email_not_verified' };
+    }
+
+    user = await User.create({
+        email,
+        fullName: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+        isEmailVerified: true,
+        identities: [identity]
+    });
+    return { user };
+};
+
+// List the providers users can sign in with
+export const getOidcProviders = async (req, res) => {
+    return res.status(200).json({
+        success: true,
+        data: {
+            providers: getEnabledOidcProviders()
+        }
+    });
+};
+
+// Redirect the browser to the provider's login page
+export const startOidcLogin = async (req, res) => {
+    try {
+        const provider = getOidcProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Login provider not found'
+            });
+        }
+
+        const state = generateRandomValue();
+        const nonce = generateRandomValue();
+        const codeVerifier = generateRandomValue();
+
+        const authorizationUrl = await createOidcClient(provider).getAuthorizationUrl({ state, nonce, codeVerifier });
+
+        res.cookie(STATE_COOKIE, { provider: provider.id, state, nonce, codeVerifier }, stateCookieOptions);
+        return res.redirect(authorizationUrl);
+    } catch (error) {
+        console.error('Start OIDC login error:', error);
+        return res.status(502).json({
+            success: false,
+            message: 'Login provider is unavailable. Please try again later.'
+        });
+    }
+};
+
+// Provider redirects back here with an authorization code
+export const oidcCallback = async (req, res) => {
+    const storedState = req.signedCookies?.[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, { ...stateCookieOptions, maxAge: undefined });
+
+    try {
+        const provider = getOidcProvider(req.params.provider);
+        const { code, state, error } = req.query;
+
+        if (error) {
+            return redirectToClient(res, { error: error === 'access_denied' ? 'access_denied' : 'provider_error' });
+        }
+
+        if (!provider || !storedState || storedState.provider !== provider.id || !code || state !== storedState.state) {
+            return redirectToClient(res, { error: 'invalid_state' });
+        }
+
+        const claims = await createOidcClient(provider).handleCallback({
+            code,
+            codeVerifier: storedState.codeVerifier,
+            nonce: storedState.nonce
+        });
+
+        const result = await findOrCreateOidcUser(provider.id, claims);
+        if (result.error) {
+            return redirectToClient(res, { error: result.error });
+        }
+        const { user } = result;
+
+        const loginBlock = getLoginBlock(user);
+        if (loginBlock?.locked) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'account_locked' });
+            return redirectToClient(res, { error: 'account_locked' });
+        }
+
+        if (isDeletionPending(user)) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'deletion_pending' });
+            return redirectToClient(res, { error: 'deletion_pending' });
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: `account_${restriction.state}` });
+            return redirectToClient(res, { error: `account_${restriction.state}` });
+        }
+
+        if (user.passwordResetRequired) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'password_reset_required' });
+            return redirectToClient(res, { error: 'password_reset_required' });
+        }
+
+        // 2FA still applies; the client finishes with the challenge token
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return redirectToClient(res, challenge);
+        }
+
+        if (user.failedLoginAttempts > 0) {
+            await clearFailedLogins(user._id);
+        }
+
+        // The refresh cookie is set here; the client gets its access token from /api/auth/refresh-token
+        await signInUser(req, res, user);
+
+        return redirectToClient(res, { success: 'true', provider: provider.id });
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+
+        if (error.code === 11000) {
+            return redirectToClient(res, { error: 'account_conflict' });
+        }
+
+        return redirectToClient(res, { error: 'login_failed' });
+    }
+};
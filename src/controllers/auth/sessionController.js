@@ -0,0 +1,207 @@
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import UserSession from '../../models/UserSession.js';
+import { revokeSession, revokeUserSessions } from '../../utils/authTokens.js';
+
+// Active (not revoked, not expired) sessions of a user, most recent first
+const findActiveSessions = (userId) => {
+    return UserSession.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .sort({ lastUsedAt: -1 })
+        .select('-__v')
+        .lean();
+};
+
+const formatSession = (session, currentSessionId) => ({
+    id: session._id,
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: !!currentSessionId && session._id.toString() === currentSessionId
+});
+
+// List the current user's active sessions
+export const getMySessions = async (req, res) => {
+    try {
+        const sessions = await findActiveSessions(req.user._id);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => formatSession(session, req.sessionId))
+            }
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Log out one of the current user's devices
+export const revokeMySession = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid session ID'
+            });
+        }
+
+        const session = await UserSession.findOne({ _id: id, user: req.user._id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(session._id, 'revoked_by_user');
+
+        return res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Log out every device except the one making the request
+export const revokeOtherSessions = async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user._id, 'revoked_by_user', req.sessionId);
+
+        return res.status(200).json({
+            success: true,
+            message: `${revokedCount} other session(s) revoked`,
+            data: {
+                revokedCount
+            }
+        });
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// List a user's active sessions (Admin only)
+export const getUserSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const user = await User.findById(id).select('fullName email');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const sessions = await findActiveSessions(id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                user,
+                sessions: sessions.map(session => formatSession(session, req.sessionId))
+            }
+        });
+    } catch (error) {
+        console.error('Error in getUserSessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching user sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Revoke one session of a user (Admin only)
+export const revokeUserSession = async (req, res) => {
+    try {
+        const { id, sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user or session ID'
+            });
+        }
+
+        const session = await UserSession.findOne({ _id: sessionId, user: id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(session._id, 'revoked_by_admin');
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Error in revokeUserSession:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking session',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Revoke all sessions of a user (Admin only)
+export const revokeAllUserSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const revokedCount = await revokeUserSessions(id, 'revoked_by_admin');
+
+        res.status(200).json({
+            success: true,
+            message: `${revokedCount} session(s) revoked`,
+            data: {
+                revokedCount
+            }
+        });
+    } catch (error) {
+        console.error('Error in revokeAllUserSessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,59 @@
+import { getJwks, listSigningKeys, rotateSigningKeys } from '../../utils/keyManager.js';
+
+// Public keys for verifying access tokens (JWK Set)
+export const getJwksDocument = async (req, res) => {
+    try {
+        const jwks = await getJwks();
+
+        // Short cache so verifiers pick up rotated keys quickly
+        res.set('Cache-Control', 'public, max-age=300');
+        return res.status(200).json(jwks);
+    } catch (error) {
+        console.error('JWKS error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// List signing keys without key material (requires security:manage)
+export const getSigningKeys = async (req, res) => {
+    try {
+        const keys = await listSigningKeys();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                keys
+            }
+        });
+    } catch (error) {
+        console.error('List signing keys error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Rotate now, e.g. when a key may have leaked (requires security:manage)
+export const rotateSigningKeysNow = async (req, res) => {
+    try {
+        const kid = await rotateSigningKeys();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Signing key rotated. Tokens signed with the previous key stay valid until they expire.',
+            data: {
+                kid
+            }
+        });
+    } catch (error) {
+        console.error('Rotate signing keys error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,382 @@
+import bcrypt from 'bcryptjs';
+import QRCode from 'qrcode';
+import User from '../../models/User.js';
+import SecuritySetting from '../../models/SecuritySetting.js';
+import Role from '../../models/Role.js';
+import { CHALLENGE_PURPOSES, signInUser, verifyChallengeToken, isTokenVersionCurrent } from '../../utils/authTokens.js';
+import { getLoginBlock, sendLoginBlockedResponse, recordFailedLogin, clearFailedLogins } from '../../utils/loginThrottle.js';
+import { isDeletionPending, sendDeletionPendingResponse } from '../../utils/accountDeletion.js';
+import { getAccountRestriction, sendAccountRestrictedResponse } from '../../utils/accountStatus.js';
+import { recordFailedAttempt, sendPasswordResetRequiredResponse } from '../../utils/loginHistory.js';
+import {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    TWO_FACTOR_SECRET_FIELDS
+} from '../../utils/totp.js';
+
+// Start enrolment: generate a secret and return it as an otpauth URI and QR code
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateTotpSecret();
+        user.twoFactor.pendingSecret = encryptSecret(secret);
+        await user.save();
+
+        const otpauthUrl = buildOtpauthUrl(secret, user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret,
+                otpauthUrl,
+                qrCode
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Finish enrolment by confirming a code from the authenticator app
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification code is required'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup before enabling it'
+            });
+        }
+
+        const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabledAt = new Date();
+        await user.save();
+
+        const data = { recoveryCodes: codes };
+
+        // Enrolment forced at login completes the login as well
+        if (req.challengePurpose === CHALLENGE_PURPOSES.TWO_FACTOR_SETUP) {
+            data.accessToken = await signInUser(req, res, user);
+            data.user = user.toJSON();
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            data
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Turn 2FA off; requires the password and a current code
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and verification code are required'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (await SecuritySetting.isTwoFactorRequired(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for your role'
+            });
+        }
+
+        const isMatch = !!user.password && await bcrypt.compare(password, user.password);
+        if (!isMatch || !(await verifySecondFactor(user, code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code'
+            });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: { 'twoFactor.enabled': false },
+                $unset: {
+                    'twoFactor.secret': 1,
+                    'twoFactor.pendingSecret': 1,
+                    'twoFactor.recoveryCodes': 1,
+                    'twoFactor.lastUsedStep': 1,
+                    'twoFactor.enabledAt': 1
+                }
+            }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Replace all recovery codes; requires a current code
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await verifySecondFactor(user, code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+        return res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            data: {
+                recoveryCodes: codes
+            }
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Second login step: exchange the challenge token and a code for the usual tokens
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Challenge token and verification code are required'
+            });
+        }
+
+        const decoded = verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.TWO_FACTOR_LOGIN);
+
+        const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+        // The token version changes on a password reset, role change or forced logout
+        if (!user || !user.twoFactor?.enabled || !isTokenVersionCurrent(decoded, user)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid challenge token'
+            });
+        }
+
+        // Code guesses count towards the same lockout as password failures
+        const loginBlock = getLoginBlock(user);
+        if (loginBlock) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: loginBlock.locked ? 'account_locked' : 'too_many_attempts' });
+            return sendLoginBlockedResponse(res, loginBlock);
+        }
+
+        if (isDeletionPending(user)) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'deletion_pending' });
+            return sendDeletionPendingResponse(res, user);
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: `account_${restriction.state}` });
+            return sendAccountRestrictedResponse(res, restriction);
+        }
+
+        // The login may have been reported after the challenge was issued
+        if (user.passwordResetRequired) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'password_reset_required' });
+            return sendPasswordResetRequiredResponse(res);
+        }
+
+        if (!(await verifySecondFactor(user, code))) {
+            await recordFailedAttempt(req, { user, type: 'login', failureReason: 'invalid_two_factor_code' });
+            await recordFailedLogin(user._id);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        if (user.failedLoginAttempts > 0) {
+            await clearFailedLogins(user._id);
+        }
+
+        const accessToken = await signInUser(req, res, user);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                user: user.toJSON(),
+                accessToken
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Challenge token expired. Please log in again.'
+            });
+        }
+
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid challenge token'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get which roles must use 2FA (Admin only)
+export const getTwoFactorPolicy = async (req, res) => {
+    try {
+        const settings = await SecuritySetting.getSettings();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                requiredRoles: settings.twoFactorRequiredRoles
+            }
+        });
+    } catch (error) {
+        console.error('Get two-factor policy error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Set which roles must use 2FA (Admin only)
+export const updateTwoFactorPolicy = async (req, res) => {
+    try {
+        const { requiredRoles } = req.body;
+
+        if (!Array.isArray(requiredRoles) || requiredRoles.some(role => typeof role !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'requiredRoles must be an array of role names'
+            });
+        }
+
+        const knownRoles = await Role.find({ name: { $in: requiredRoles } }).distinct('name');
+        const unknownRoles = requiredRoles.filter(role => !knownRoles.includes(role));
+        if (unknownRoles.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown role(s): ${unknownRoles.join(', ')}`
+            });
+        }
+
+        const settings = await SecuritySetting.getSettings();
+        settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+        settings.updatedBy = req.user._id;
+        await settings.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor policy updated',
+            data: {
+                requiredRoles: settings.twoFactorRequiredRoles
+            }
+        });
+    } catch (error) {
+        console.error('Update two-factor policy error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -4,6 +4,8 @@ import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import User from '../../models/User.js';
 import mongoose from 'mongoose';
+import { hasPermission } from '../../middleware/auth.js';
+import { parsePagination, paginate, sendPaginationError } from '../../utils/pagination.js';
 
 // Load environment variables
 dotenv.config();
@@ -464,37 +466,36 @@ export const submitContactForm = async (req, res) => {
     }
 };
 
+const CONTACT_SORT_FIELDS = ['createdAt', 'updatedAt', 'status', 'name', 'email'];
+
 // Get all contacts (admin only)
 export const getContacts = async (req, res) => {
     try {
-        const { page = 1, limit = 10, status } = req.query;
-        const skip = (page - 1) * limit;
+        const { status } = req.query;
 
         const filter = {};
         if (status && ['new', 'read', 'replied', 'archived'].includes(status)) {
             filter.status = status;
         }
 
-        const contacts = await Contact.find(filter)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit))
-            .select('-__v');
-
-        const total = await Contact.countDocuments(filter);
+        const { items: contacts, pagination } = await paginate(
+            Contact,
+            filter,
+            parsePagination(req.query, { sortFields: CONTACT_SORT_FIELDS, defaultLimit: 10 }),
+            query => query.select('-__v')
+        );
 
         res.json({
             success: true,
             data: contacts,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                pages: Math.ceil(total / limit)
-            }
+            pagination
         });
 
     } catch (error) {
+        if (error.name === 'PaginationError') {
+            return sendPaginationError(res, error);
+        }
+
         console.error('Get contacts error:', error);
         res.status(500).json({
             success: false,
@@ -629,8 +630,8 @@ export const sendAdminReply = async (req, res) => {
             });
         }
 
-        // Check if user is admin
-        if (req.user.role !== 'admin') {
+        // Check if user may reply
+        if (!hasPermission(req, 'contacts:reply')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to reply to contact submissions'
@@ -0,0 +1,438 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { body, validationResult } from 'express-validator';
+import Invitation from '../../models/Invitation.js';
+import User from '../../models/User.js';
+import Role from '../../models/Role.js';
+import { SYSTEM_ROLES } from '../../../config/permissions.js';
+import { hasPermission } from '../../middleware/auth.js';
+import { TOKEN_PURPOSES, consumeOneTimeToken, releaseOneTimeToken, findValidOneTimeToken, revokeInvitationTokens } from '../../utils/oneTimeTokens.js';
+import { getInvitationTtlMs, openInvitationFilter, issueInvitationToken } from '../../utils/invitations.js';
+import { sendInvitationEmail, sendWelcomeEmail } from '../../utils/emailVerification.js';
+import { validatePassword, formatPasswordErrors } from '../../utils/passwordPolicy.js';
+
+const STATUS_FILTERS = {
+    pending: openInvitationFilter,
+    expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } }),
+    accepted: () => ({ acceptedAt: { $ne: null } }),
+    revoked: () => ({ revokedAt: { $ne: null } }),
+    all: () => ({})
+};
+
+const getInvitationStatus = (invitation) => {
+    if (invitation.acceptedAt) return 'accepted';
+    if (invitation.revokedAt) return 'revoked';
+    return invitation.expiresAt <= new Date() ? 'expired' : 'pending';
+};
+
+const formatInvitation = (invitation) => ({
+    id: invitation._id,
+    email: invitation.email,
+    fullName: invitation.fullName,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    lastSentAt: invitation.lastSentAt,
+    sendCount: invitation.sendCount,
+    acceptedAt: invitation.acceptedAt,
+    acceptedUser: invitation.acceptedUser,
+    revokedAt: invitation.revokedAt,
+    revokedBy: invitation.revokedBy,
+    createdAt: invitation.createdAt,
+    status: getInvitationStatus(invitation)
+});
+
+// Validation middleware for creating an invitation
+export const validateInvitation = [
+    body('fullName')
+        .trim()
+        .notEmpty()
+        .withMessage('Full name is required')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Full name must be between 2 and 50 characters'),
+    body('email')
+        .isEmail()
+        .withMessage('Valid email is required')
+        .normalizeEmail(),
+    body('role')
+        .optional()
+        .custom(async (role) => {
+            if (!(await Role.roleExists(role))) {
+                throw new Error('Invalid role');
+            }
+            return true;
+        })
+];
+
+// List invitations, newest first (pending ones by default)
+export const getInvitations = async (req, res) => {
+    try {
+        const { status = 'pending' } = req.query;
+
+        if (!STATUS_FILTERS[status]) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}`
+            });
+        }
+
+        const invitations = await Invitation.find(STATUS_FILTERS[status]())
+            .sort({ createdAt: -1 })
+            .populate('invitedBy', 'fullName email')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invitations: invitations.map(formatInvitation)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getInvitations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching invitations',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Invite someone by email; they choose their own password from the link
+export const createInvitation = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { email, fullName, role = SYSTEM_ROLES.USER } = req.body;
+
+        // Inviting someone into a more powerful role is a role assignment
+        if (role !== SYSTEM_ROLES.USER && !hasPermission(req, 'users:assign-role')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to assign roles'
+            });
+        }
+
+        const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        const openInvitation = await Invitation.findOne({ email, ...openInvitationFilter() });
+        if (openInvitation) {
+            return res.status(409).json({
+                success: false,
+                message: 'A pending invitation already exists for this email. Resend it instead.'
+            });
+        }
+
+        const invitation = new Invitation({
+            email,
+            fullName,
+            role,
+            invitedBy: req.user._id,
+            expiresAt: new Date(Date.now() + getInvitationTtlMs())
+        });
+        const inviteToken = await issueInvitationToken(invitation);
+
+        try {
+            await sendInvitationEmail(invitation, inviteToken, req.user.fullName);
+        } catch (emailError) {
+            console.error('Failed to send invitation email:', emailError);
+            return res.status(500).json({
+                success: false,
+                message: 'Invitation saved, but the email could not be sent. Try resending it.',
+                data: {
+                    invitation: formatInvitation(invitation)
+                }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent successfully',
+            data: {
+                invitation: formatInvitation(invitation)
+            }
+        });
+    } catch (error) {
+        console.error('Error in createInvitation:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating invitation',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Send a new link, also for expired invitations; earlier links stop working
+export const resendInvitation = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invitation ID'
+            });
+        }
+
+        const invitation = await Invitation.findOne({ _id: id, acceptedAt: null, revokedAt: null });
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found, already accepted or revoked'
+            });
+        }
+
+        // The invitee may have signed up on their own in the meantime
+        const existingUser = await User.findOne({ email: invitation.email }).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        const inviteToken = await issueInvitationToken(invitation);
+
+        try {
+            await sendInvitationEmail(invitation, inviteToken, req.user.fullName);
+        } catch (emailError) {
+            console.error('Failed to send invitation email:', emailError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send invitation email. Please try again later.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation resent successfully',
+            data: {
+                invitation: formatInvitation(invitation)
+            }
+        });
+    } catch (error) {
+        console.error('Error in resendInvitation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resending invitation',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Revoke an invitation; its link stops working immediately
+export const revokeInvitation = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invitation ID'
+            });
+        }
+
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: id, acceptedAt: null, revokedAt: null },
+            { revokedAt: new Date(), revokedBy: req.user._id },
+            { new: true }
+        );
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found, already accepted or revoked'
+            });
+        }
+
+        await revokeInvitationTokens(invitation._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation revoked successfully',
+            data: {
+                invitation: formatInvitation(invitation)
+            }
+        });
+    } catch (error) {
+        console.error('Error in revokeInvitation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking invitation',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Check an invitation link before showing the set-password form
+export const verifyInvitation = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation token is required'
+            });
+        }
+
+        const inviteToken = await findValidOneTimeToken(token, TOKEN_PURPOSES.INVITATION);
+        const invitation = inviteToken && await Invitation.findOne({ _id: inviteToken.invitation, ...openInvitationFilter() });
+
+        if (!invitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired invitation'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                email: invitation.email,
+                fullName: invitation.fullName
+            }
+        });
+
+    } catch (error) {
+        console.error('Verify invitation error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Accept an invitation: create the account with the chosen password. The
+// link was emailed to the address, so it counts as verified.
+export const acceptInvitation = async (req, res) => {
+    try {
+        const { token, password, confirmPassword } = req.body;
+
+        if (!token || !password || !confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'All fields are required'
+            });
+        }
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Passwords do not match'
+            });
+        }
+
+        const validToken = await findValidOneTimeToken(token, TOKEN_PURPOSES.INVITATION);
+        const pendingInvitation = validToken && await Invitation.findOne({ _id: validToken.invitation, ...openInvitationFilter() });
+
+        if (!pendingInvitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired invitation'
+            });
+        }
+
+        const passwordErrors = validatePassword(password, pendingInvitation);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: formatPasswordErrors(passwordErrors),
+                errors: passwordErrors
+            });
+        }
+
+        const existingUser = await User.findOne({ email: pendingInvitation.email }).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists. Please log in.'
+            });
+        }
+
+        // Use up the link so two requests can't both create the account
+        const inviteToken = await consumeOneTimeToken(token, TOKEN_PURPOSES.INVITATION);
+        const invitation = inviteToken && await Invitation.findOneAndUpdate(
+            { _id: inviteToken.invitation, ...openInvitationFilter() },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+
+        if (!invitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired invitation'
+            });
+        }
+
+        // The role may have been deleted since the invitation was sent
+        const role = await Role.roleExists(invitation.role) ? invitation.role : SYSTEM_ROLES.USER;
+
+        let user;
+        try {
+            user = await User.create({
+                email: invitation.email,
+                fullName: invitation.fullName,
+                password: await bcrypt.hash(password, 12),
+                role,
+                isEmailVerified: true
+            });
+        } catch (createError) {
+            // Reopen the invitation so the link still works once the problem is fixed
+            await Promise.all([
+                Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null }),
+                releaseOneTimeToken(inviteToken)
+            ]).catch(rollbackError => {
+                console.error('Failed to reopen invitation:', rollbackError);
+            });
+            throw createError;
+        }
+
+        invitation.acceptedUser = user._id;
+        await invitation.save();
+
+        sendWelcomeEmail(user).catch(emailError => {
+            console.error('Failed to send welcome email:', emailError);
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Account created successfully. You can now log in.'
+        });
+
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists. Please log in.'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
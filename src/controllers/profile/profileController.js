@@ -2,6 +2,10 @@ import { validationResult, body } from 'express-validator';
 import mongoose from 'mongoose';
 import Profile from '../../models/Profile.js';
 import User from '../../models/User.js';
+import { hasPermission } from '../../middleware/auth.js';
+import { parsePagination, paginate, sendPaginationError } from '../../utils/pagination.js';
+
+const PROFILE_SORT_FIELDS = ['createdAt', 'updatedAt', 'country', 'location'];
 
 // Validation middleware for profile creation
 export const validateProfileCreation = [
@@ -114,10 +118,10 @@ export const createProfile = async (req, res) => {
 export const updateProfile = async (req, res) => {
     try {
         const { id } = req.params;
-        const isAdmin = req.user.role === 'admin';
+        const canUpdateAny = hasPermission(req, 'profiles:update');
         const isSelfUpdate = req.user._id.toString() === id;
 
-        if (!isAdmin && !isSelfUpdate) {
+        if (!canUpdateAny && !isSelfUpdate) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this profile'
@@ -193,6 +197,44 @@ export const updateProfile = async (req, res) => {
 };
 
 
+// List profiles with their owner's name and email (requires profiles:read)
+export const getProfiles = async (req, res) => {
+    try {
+        const { country } = req.query;
+
+        const filter = {};
+        if (country) {
+            filter.country = String(country);
+        }
+
+        const { items: profiles, pagination } = await paginate(
+            Profile,
+            filter,
+            parsePagination(req.query, { sortFields: PROFILE_SORT_FIELDS }),
+            query => query.populate('userId', 'fullName email').lean()
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                profiles,
+                pagination
+            }
+        });
+    } catch (error) {
+        if (error.name === 'PaginationError') {
+            return sendPaginationError(res, error);
+        }
+
+        console.error('Error in getProfiles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching profiles',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 export const getProfile = async (req, res) => {
     try {
         const { id } = req.params;
@@ -245,10 +287,10 @@ export const getProfile = async (req, res) => {
 export const deleteProfile = async (req, res) => {
     try {
         const { id } = req.params;
-        const isAdmin = req.user.role === 'admin';
+        const canDeleteAny = hasPermission(req, 'profiles:delete');
         const isSelfDelete = req.user._id.toString() === id;
 
-        if (!isAdmin && !isSelfDelete) {
+        if (!canDeleteAny && !isSelfDelete) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to delete this profile'
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import Role from '../../models/Role.js';
+import User from '../../models/User.js';
+import { PERMISSIONS, SYSTEM_ROLES, isValidPermission } from '../../../config/permissions.js';
+
+// Returns an error message for an invalid permissions list, or null
+const checkPermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        return 'Permissions must be an array';
+    }
+    const unknown = permissions.filter(permission => !isValidPermission(permission));
+    if (unknown.length > 0) {
+        return `Unknown permission(s): ${unknown.join(', ')}`;
+    }
+    return null;
+};
+
+// List all roles with the number of users holding each
+export const getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 }).select('-__v').lean();
+
+        const counts = await User.aggregate([
+            { $group: { _id: '$role', count: { $sum: 1 } } }
+        ]);
+        const countByRole = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                roles: roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 }))
+            }
+        });
+    } catch (error) {
+        console.error('Error in getRoles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching roles',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// List every permission that can be granted
+export const getPermissions = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+        }
+    });
+};
+
+// Get a single role
+export const getRoleById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role ID'
+            });
+        }
+
+        const role = await Role.findById(id).select('-__v');
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: role.name });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                role,
+                userCount
+            }
+        });
+    } catch (error) {
+        console.error('Error in getRoleById:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching role',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Create a role, e.g. a new staff role
+export const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions = [] } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role name is required'
+            });
+        }
+
+        const permissionError = checkPermissions(permissions);
+        if (permissionError) {
+            return res.status(400).json({
+                success: false,
+                message: permissionError
+            });
+        }
+
+        const existingRole = await Role.findOne({ name: String(name).toLowerCase().trim() });
+        if (existingRole) {
+            return res.status(409).json({
+                success: false,
+                message: 'A role with this name already exists'
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            description,
+            permissions: [...new Set(permissions)],
+            updatedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: {
+                role
+            }
+        });
+    } catch (error) {
+        console.error('Error in createRole:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating role',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Update a role's description or permissions. The name can't change since users reference it.
+export const updateRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, description, permissions } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role ID'
+            });
+        }
+
+        const role = await Role.findById(id);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (name !== undefined && String(name).toLowerCase().trim() !== role.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role names cannot be changed'
+            });
+        }
+
+        if (permissions !== undefined) {
+            // The admin role keeps every permission so nobody can lock themselves out
+            if (role.name === SYSTEM_ROLES.ADMIN) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Permissions of the admin role cannot be changed'
+                });
+            }
+
+            const permissionError = checkPermissions(permissions);
+            if (permissionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: permissionError
+                });
+            }
+            role.permissions = [...new Set(permissions)];
+        }
+
+        if (description !== undefined) role.description = description;
+        role.updatedBy = req.user._id;
+        await role.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: {
+                role
+            }
+        });
+    } catch (error) {
+        console.error('Error in updateRole:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating role',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Delete a custom role that no user holds
+export const deleteRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role ID'
+            });
+        }
+
+        const role = await Role.findById(id);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'System roles cannot be deleted'
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: role.name });
+        if (userCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Role is assigned to ${userCount} user(s). Reassign them before deleting it.`
+            });
+        }
+
+        await role.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error in deleteRole:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting role',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,292 @@
+import bcrypt from 'bcryptjs';
+import { validationResult } from 'express-validator';
+import User from '../../models/User.js';
+import Invitation from '../../models/Invitation.js';
+import { SYSTEM_ROLES } from '../../../config/permissions.js';
+import { hasPermission } from '../../middleware/auth.js';
+import { validateUserCreation } from './usersControllers.js';
+import { validateInvitation } from '../invitations/invitationController.js';
+import { parseCsv } from '../../utils/csv.js';
+import { createEmailVerificationToken } from '../../utils/oneTimeTokens.js';
+import { openInvitationFilter, issueInvitationToken, getInvitationTtlMs } from '../../utils/invitations.js';
+import { sendVerificationEmail, sendInvitationEmail } from '../../utils/emailVerification.js';
+import { AUDIT_ACTIONS, recordAuditEvent } from '../../utils/auditLog.js';
+
+const IMPORT_MAX_ROWS = 500;
+const IMPORT_COLUMNS = ['fullName', 'email', 'password', 'role', 'isEmailVerified'];
+
+// none: create the accounts only
+// verification: create the accounts and email a verification link to unverified ones
+// invitation: create invitations instead of accounts; invitees choose their own password
+const EMAIL_MODES = ['none', 'verification', 'invitation'];
+
+// Map the header row to known columns, matching names case-insensitively
+const readHeader = (header, emailMode) => {
+    const columns = header.map(name => IMPORT_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()));
+
+    const unknown = header.filter((name, index) => !columns[index]);
+    if (unknown.length > 0) {
+        return { error: `Unknown columns: ${unknown.join(', ')}. Allowed: ${IMPORT_COLUMNS.join(', ')}` };
+    }
+
+    const required = emailMode === 'invitation' ? ['fullName', 'email'] : ['fullName', 'email', 'password'];
+    const missing = required.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return { error: `Missing required columns: ${missing.join(', ')}` };
+    }
+
+    return { columns };
+};
+
+// Run the same validation chains as the single-user endpoints against one row
+const validateRow = async (body, emailMode) => {
+    const rowReq = { body, params: {}, query: {}, headers: {}, cookies: {} };
+    const chains = emailMode === 'invitation' ? validateInvitation : validateUserCreation;
+
+    for (const chain of chains) {
+        await chain.run(rowReq);
+    }
+
+    const errors = validationResult(rowReq);
+    return {
+        body: rowReq.body,
+        errors: errors.array().map(error => ({ field: error.path, message: error.msg }))
+    };
+};
+
+// Create the account or invitation for a validated row and send its email
+const importRow = async (row, { emailMode, inviter }) => {
+    const { fullName, email, password, role, isEmailVerified } = row.data;
+
+    if (emailMode === 'invitation') {
+        const invitation = new Invitation({
+            email,
+            fullName,
+            role,
+            invitedBy: inviter._id,
+            expiresAt: new Date(Date.now() + getInvitationTtlMs())
+        });
+        const inviteToken = await issueInvitationToken(invitation);
+
+        let emailSent = true;
+        try {
+            await sendInvitationEmail(invitation, inviteToken, inviter.fullName);
+        } catch (emailError) {
+            console.error('Failed to send invitation email:', emailError);
+            emailSent = false;
+        }
+
+        return { status: 'invited', invitationId: invitation._id, emailSent };
+    }
+
+    const user = await User.create({
+        fullName,
+        email,
+        password: await bcrypt.hash(password, 12),
+        role,
+        isEmailVerified
+    });
+
+    const result = { status: 'created', userId: user._id };
+
+    if (emailMode === 'verification' && !user.isEmailVerified) {
+        result.emailSent = true;
+        try {
+            const emailVerificationToken = await createEmailVerificationToken(user);
+            await sendVerificationEmail(user, emailVerificationToken);
+        } catch (emailError) {
+            console.error('Failed to send verification email:', emailError);
+            result.emailSent = false;
+        }
+    }
+
+    return result;
+};
+
+// Create users, or invitations, from an uploaded CSV file (Admin only).
+// Every row is validated first and the response reports the outcome of each
+// row; with dryRun nothing is written.
+export const importUsers = async (req, res) => {
+    try {
+        const dryRun = (req.body.dryRun ?? req.query.dryRun) === 'true';
+        const emailMode = req.body.sendEmails ?? req.query.sendEmails ?? 'none';
+
+        if (!EMAIL_MODES.includes(emailMode)) {
+            return res.status(400).json({
+                success: false,
+                message: `sendEmails must be one of: ${EMAIL_MODES.join(', ')}`
+            });
+        }
+
+        if (emailMode === 'invitation' && !hasPermission(req, 'users:invite')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to invite users'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'A CSV file is required in the "file" field'
+            });
+        }
+
+        let records;
+        try {
+            records = parseCsv(req.file.buffer.toString('utf8'));
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not read the CSV file: ${parseError.message}`
+            });
+        }
+
+        const [header = [], ...dataRows] = records;
+        const { columns, error: headerError } = readHeader(header, emailMode);
+        if (headerError) {
+            return res.status(400).json({
+                success: false,
+                message: headerError
+            });
+        }
+
+        if (dataRows.length === 0 || dataRows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `The file must contain between 1 and ${IMPORT_MAX_ROWS} users`
+            });
+        }
+
+        const canAssignRoles = hasPermission(req, 'users:assign-role');
+        const seenEmails = new Map();
+        const rows = [];
+
+        for (const [index, values] of dataRows.entries()) {
+            // Row numbers match the spreadsheet, counting the header as row 1
+            const rowNumber = index + 2;
+
+            // Empty optional cells fall back to their defaults
+            const body = {};
+            columns.forEach((column, columnIndex) => {
+                const value = values[columnIndex]?.trim();
+                if (value) body[column] = value;
+            });
+
+            const submittedEmail = body.email || '';
+            const { body: data, errors } = await validateRow(body, emailMode);
+
+            // normalizeEmail also rewrites invalid addresses, so report those as submitted
+            if (errors.some(error => error.field === 'email')) {
+                data.email = undefined;
+            }
+            data.role = data.role || SYSTEM_ROLES.USER;
+            data.isEmailVerified = data.isEmailVerified === 'true';
+
+            if (data.role !== SYSTEM_ROLES.USER && !canAssignRoles) {
+                errors.push({ field: 'role', message: 'Not authorized to assign roles' });
+            }
+
+            if (data.email && seenEmails.has(data.email)) {
+                errors.push({ field: 'email', message: `Duplicate of row ${seenEmails.get(data.email)}` });
+            } else if (data.email) {
+                seenEmails.set(data.email, rowNumber);
+            }
+
+            rows.push({ row: rowNumber, email: data.email || submittedEmail, data, errors });
+        }
+
+        // Check every email against existing accounts, including ones in the trash
+        const emails = [...seenEmails.keys()];
+        const [existingUsers, openInvitations] = await Promise.all([
+            User.find({ email: { $in: emails } }).setOptions({ withDeleted: true }).select('email').lean(),
+            emailMode === 'invitation'
+                ? Invitation.find({ email: { $in: emails }, ...openInvitationFilter() }).select('email').lean()
+                : []
+        ]);
+        const existingEmails = new Set(existingUsers.map(user => user.email));
+        const invitedEmails = new Set(openInvitations.map(invitation => invitation.email));
+
+        for (const row of rows) {
+            if (existingEmails.has(row.data.email)) {
+                row.errors.push({ field: 'email', message: 'User with this email already exists' });
+            } else if (invitedEmails.has(row.data.email)) {
+                row.errors.push({ field: 'email', message: 'A pending invitation already exists for this email' });
+            }
+        }
+
+        const results = [];
+        for (const row of rows) {
+            if (row.errors.length > 0) {
+                results.push({ row: row.row, email: row.email, status: 'failed', errors: row.errors });
+                continue;
+            }
+
+            if (dryRun) {
+                results.push({ row: row.row, email: row.email, status: 'valid' });
+                continue;
+            }
+
+            try {
+                results.push({ row: row.row, email: row.email, ...(await importRow(row, { emailMode, inviter: req.user })) });
+            } catch (rowError) {
+                console.error(`Failed to import row ${row.row}:`, rowError);
+
+                // Someone may have signed up with the address since the check above
+                const message = rowError.code === 11000
+                    ? 'User with this email already exists'
+                    : 'Could not import this row';
+                results.push({ row: row.row, email: row.email, status: 'failed', errors: [{ field: 'email', message }] });
+            }
+        }
+
+        const failed = results.filter(result => result.status === 'failed').length;
+        const summary = {
+            total: results.length,
+            succeeded: results.length - failed,
+            failed
+        };
+
+        if (!dryRun && summary.succeeded > 0) {
+            await recordAuditEvent({
+                action: AUDIT_ACTIONS.USERS_IMPORT,
+                actor: req.user._id,
+                req,
+                statusCode: 201,
+                metadata: { emailMode, fileName: req.file.originalname, ...summary }
+            });
+        }
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: failed === 0,
+                message: `${summary.succeeded} of ${summary.total} rows are valid`,
+                data: {
+                    dryRun,
+                    sendEmails: emailMode,
+                    summary,
+                    results
+                }
+            });
+        }
+
+        res.status(summary.succeeded > 0 ? 201 : 400).json({
+            success: failed === 0,
+            message: `Imported ${summary.succeeded} of ${summary.total} rows`,
+            data: {
+                dryRun,
+                sendEmails: emailMode,
+                summary,
+                results
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in importUsers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while importing users',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -1,7 +1,46 @@
 import User from '../../models/User.js';
+import Role from '../../models/Role.js';
+import { SYSTEM_ROLES } from '../../../config/permissions.js';
 import { validationResult, body } from 'express-validator';
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
+import { once } from 'events';
+import { clearFailedLogins } from '../../utils/loginThrottle.js';
+import { invalidateUserTokens, generateImpersonationToken, IMPERSONATION_TOKEN_TTL_SECONDS } from '../../utils/authTokens.js';
+import { AUDIT_ACTIONS, recordAuditEvent } from '../../utils/auditLog.js';
+import { hasPermission } from '../../middleware/auth.js';
+import { validatePassword, formatPasswordErrors } from '../../utils/passwordPolicy.js';
+import { purgeUser, trashUser, restoreTrashedUser, getTrashRetentionMs } from '../../utils/accountDeletion.js';
+import { ACCOUNT_STATES, getAccountRestriction, setAccountStatus } from '../../utils/accountStatus.js';
+import { toCsvRow } from '../../utils/csv.js';
+import { parsePagination, parseSort, paginate, sendPaginationError } from '../../utils/pagination.js';
+import { createEmailVerificationToken } from '../../utils/oneTimeTokens.js';
+import { sendVerificationEmail } from '../../utils/emailVerification.js';
+
+// Roles are managed in the database, see /api/roles
+const roleExists = async (role) => {
+    if (!(await Role.roleExists(role))) {
+        throw new Error('Invalid role');
+    }
+    return true;
+};
+
+// Password policy check; the message lists every rule the password breaks.
+// On update, the stored email and name count unless the request changes them.
+const meetsPasswordPolicy = async (password, { req }) => {
+    const existingUser = mongoose.Types.ObjectId.isValid(req.params?.id)
+        ? await User.findById(req.params.id).select('email fullName').lean()
+        : null;
+
+    const errors = validatePassword(password, {
+        email: req.body.email || existingUser?.email,
+        fullName: req.body.fullName || existingUser?.fullName
+    });
+    if (errors.length > 0) {
+        throw new Error(formatPasswordErrors(errors));
+    }
+    return true;
+};
 
 // Validation middleware for user creation
 export const validateUserCreation = [
@@ -16,12 +55,10 @@ export const validateUserCreation = [
         .withMessage('Valid email is required')
         .normalizeEmail(),
     body('password')
-        .isLength({ min: 5 })
-        .withMessage('Password must be at least 5 characters long'),
+        .custom(meetsPasswordPolicy),
     body('role')
         .optional()
-        .isIn(['user', 'admin'])
-        .withMessage('Invalid role'),
+        .custom(roleExists),
     body('isEmailVerified')
         .optional()
         .isBoolean()
@@ -42,12 +79,10 @@ export const validateUserUpdate = [
         .normalizeEmail(),
     body('password')
         .optional()
-        .isLength({ min: 5 })
-        .withMessage('Password must be at least 5 characters long'),
+        .custom(meetsPasswordPolicy),
     body('role')
         .optional()
-        .isIn(['user', 'admin'])
-        .withMessage('Invalid role'),
+        .custom(roleExists),
     body('isEmailVerified')
         .optional()
         .isBoolean()
@@ -71,12 +106,12 @@ export const createUser = async (req, res) => {
             fullName,
             email,
             password,
-            role = 'student',
+            role = SYSTEM_ROLES.USER,
             isEmailVerified = false
         } = req.body;
 
         // Check if user already exists
-        const existingUser = await User.findOne({ email });
+        const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
         if (existingUser) {
             return res.status(400).json({
                 success: false,
@@ -125,89 +160,86 @@ export const validateUserRoleChange = [
     body('role')
         .notEmpty()
         .withMessage('Role is required')
-        .isIn(['user', 'admin'])
-        .withMessage('Invalid role')
+        .bail()
+        .custom(roleExists)
 ];
 
-// Get all users with filtering and pagination
-export const getUsers = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            role,
-            isEmailVerified,
-            search,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
-
-        // Build filter
-        const filter = {};
+// Filter for the user directory from the role, isEmailVerified and search
+// parameters, shared by the listing, the export and bulk actions
+const buildUserFilter = ({ role, isEmailVerified, search }) => {
+    const filter = {};
 
-        if (role) {
-            filter.role = role;
-        }
+    if (role) {
+        filter.role = role;
+    }
 
-        if (isEmailVerified !== undefined) {
-            filter.isEmailVerified = isEmailVerified === 'true';
-        }
+    if (isEmailVerified !== undefined) {
+        // A string in the query, a boolean in a JSON body
+        filter.isEmailVerified = String(isEmailVerified) === 'true';
+    }
 
-        // Add search functionality
-        if (search) {
-            filter.$or = [
-                { fullName: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
-            ];
-        }
+    // Add search functionality
+    if (search) {
+        filter.$or = [
+            { fullName: { $regex: search, $options: 'i' } },
+            { email: { $regex: search, $options: 'i' } }
+        ];
+    }
 
-        // Calculate pagination
-        const skip = (page - 1) * limit;
+    return filter;
+};
 
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'fullName', 'email', 'role', 'isEmailVerified'];
 
-        // Get users
-        const users = await User.find(filter)
-            .sort(sort)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .select('-password -emailVerificationToken -passwordResetToken')
-            .lean();
+// Number of users matching the filter for every existing role, keyed by role name.
+// Roles nobody has are included with 0.
+const countUsersByRole = async (filter = {}) => {
+    const [roleCounts, roles] = await Promise.all([
+        User.aggregate([
+            { $match: filter },
+            { $group: { _id: '$role', count: { $sum: 1 } } }
+        ]),
+        Role.find().select('name').sort({ name: 1 }).lean()
+    ]);
 
-        // Get total count for pagination
-        const totalUsers = await User.countDocuments(filter);
+    const countsByRole = Object.fromEntries(roleCounts.map(({ _id, count }) => [_id, count]));
+    return Object.fromEntries(roles.map(({ name }) => [name, countsByRole[name] || 0]));
+};
 
-        // Calculate statistics
-        const stats = await User.aggregate([
-            { $match: filter },
-            {
-                $group: {
-                    _id: null,
-                    totalUsers: { $sum: 1 },
-                    verifiedUsers: {
-                        $sum: { $cond: ['$isEmailVerified', 1, 0] }
-                    },
-                    students: {
-                        $sum: { $cond: [{ $eq: ['$role', 'student'] }, 1, 0] }
-                    },
-                    instructors: {
-                        $sum: { $cond: [{ $eq: ['$role', 'instructor'] }, 1, 0] }
-                    },
-                    admins: {
-                        $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] }
+// Get all users with filtering and pagination
+export const getUsers = async (req, res) => {
+    try {
+        const filter = buildUserFilter(req.query);
+
+        const { items: users, pagination } = await paginate(
+            User,
+            filter,
+            parsePagination(req.query, { sortFields: USER_SORT_FIELDS, defaultLimit: 10 }),
+            query => query.select('-password').lean()
+        );
+
+        // Calculate statistics, with a count for every role that exists
+        const [stats, roles] = await Promise.all([
+            User.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: null,
+                        totalUsers: { $sum: 1 },
+                        verifiedUsers: {
+                            $sum: { $cond: ['$isEmailVerified', 1, 0] }
+                        }
                     }
                 }
-            }
+            ]),
+            countUsersByRole(filter)
         ]);
 
-        const statistics = stats[0] || {
-            totalUsers: 0,
-            verifiedUsers: 0,
-            students: 0,
-            instructors: 0,
-            admins: 0
+        const { totalUsers = 0, verifiedUsers = 0 } = stats[0] || {};
+        const statistics = {
+            totalUsers,
+            verifiedUsers,
+            roles
         };
 
         res.status(200).json({
@@ -215,18 +247,15 @@ export const getUsers = async (req, res) => {
             data: {
                 users,
                 statistics,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalUsers / limit),
-                    totalUsers,
-                    limit: parseInt(limit),
-                    hasNext: page < Math.ceil(totalUsers / limit),
-                    hasPrev: page > 1
-                }
+                pagination
             }
         });
 
     } catch (error) {
+        if (error.name === 'PaginationError') {
+            return sendPaginationError(res, error);
+        }
+
         console.error('Error in getUsers:', error);
         res.status(500).json({
             success: false,
@@ -236,6 +265,188 @@ export const getUsers = async (req, res) => {
     }
 };
 
+// Columns available to the export, in their default order. Profile columns
+// are joined from the user's profile.
+const EXPORT_COLUMNS = {
+    id: user => user._id.toString(),
+    fullName: user => user.fullName,
+    email: user => user.email,
+    role: user => user.role,
+    isEmailVerified: user => user.isEmailVerified,
+    accountStatus: user => user.accountStatus?.state || ACCOUNT_STATES.ACTIVE,
+    twoFactorEnabled: user => !!user.twoFactor?.enabled,
+    createdAt: user => user.createdAt,
+    updatedAt: user => user.updatedAt
+};
+
+const EXPORT_PROFILE_COLUMNS = {
+    location: user => user.profile?.location || '',
+    country: user => user.profile?.country || '',
+    phoneNumber: user => user.profile?.phoneNumber || ''
+};
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Export the user directory as CSV, JSON or NDJSON (Admin only). Takes the
+// same filters as getUsers and streams from a cursor, so the whole directory
+// is never held in memory.
+export const exportUsers = async (req, res) => {
+    let cursor;
+
+    try {
+        const { format = 'csv', columns, includeProfile } = req.query;
+
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const availableColumns = { ...EXPORT_COLUMNS, ...EXPORT_PROFILE_COLUMNS };
+        const selectedColumns = columns
+            ? [...new Set(String(columns).split(',').map(column => column.trim()).filter(Boolean))]
+            : [
+                ...Object.keys(EXPORT_COLUMNS),
+                ...(includeProfile === 'true' ? Object.keys(EXPORT_PROFILE_COLUMNS) : [])
+            ];
+
+        const unknownColumns = selectedColumns.filter(column => !availableColumns[column]);
+        if (unknownColumns.length > 0 || selectedColumns.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: unknownColumns.length > 0
+                    ? `Unknown columns: ${unknownColumns.join(', ')}`
+                    : 'At least one column is required',
+                availableColumns: Object.keys(availableColumns)
+            });
+        }
+
+        const filter = buildUserFilter(req.query);
+        const pipeline = [
+            { $match: filter },
+            { $sort: Object.fromEntries(parseSort(req.query, { sortFields: USER_SORT_FIELDS })) },
+            { $project: { password: 0 } }
+        ];
+
+        // Only join profiles when a profile column was asked for
+        if (selectedColumns.some(column => EXPORT_PROFILE_COLUMNS[column])) {
+            pipeline.push(
+                {
+                    $lookup: {
+                        from: 'profiles',
+                        let: { userId: '$_id' },
+                        pipeline: [
+                            { $match: { $expr: { $eq: ['$userId', '$$userId'] }, deletedAt: null } },
+                            { $project: { location: 1, country: 1, phoneNumber: 1 } }
+                        ],
+                        as: 'profile'
+                    }
+                },
+                { $set: { profile: { $first: '$profile' } } }
+            );
+        }
+
+        cursor = User.aggregate(pipeline).cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+        let exported = 0;
+
+        // Stop reading if the client goes away mid-export. Every export is
+        // audited once the response closes, including ones cut short.
+        res.on('close', () => {
+            cursor.close().catch(() => {});
+
+            recordAuditEvent({
+                action: AUDIT_ACTIONS.USERS_EXPORT,
+                // API keys have no user; the key is recorded instead
+                actor: req.user?._id,
+                req,
+                statusCode: res.statusCode,
+                metadata: {
+                    format,
+                    columns: selectedColumns,
+                    filter: req.query,
+                    exported,
+                    completed: res.writableFinished,
+                    ...(req.apiKey && { apiKey: { id: req.apiKey._id, name: req.apiKey.name } })
+                }
+            }).catch(auditError => {
+                console.error('Failed to write export audit log:', auditError);
+            });
+        });
+
+        const write = async (chunk) => {
+            if (!res.write(chunk)) {
+                await once(res, 'drain');
+            }
+        };
+
+        // Headers go out with the first row, so a failing query can still get a JSON error
+        let started = false;
+        const start = async () => {
+            const date = new Date().toISOString().slice(0, 10);
+            res.status(200);
+            res.setHeader('Content-Type', exportFormat.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="users-${date}.${exportFormat.extension}"`);
+
+            if (format === 'csv') await write(toCsvRow(selectedColumns));
+            if (format === 'json') await write('[');
+            started = true;
+        };
+
+        const toRecord = (user) => Object.fromEntries(
+            selectedColumns.map(column => [column, availableColumns[column](user)])
+        );
+
+        for await (const user of cursor) {
+            if (!started) await start();
+
+            const record = toRecord(user);
+            if (format === 'csv') {
+                await write(toCsvRow(selectedColumns.map(column => record[column])));
+            } else if (format === 'json') {
+                await write(`${exported > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+            } else {
+                await write(`${JSON.stringify(record)}\n`);
+            }
+            exported += 1;
+
+            if (res.destroyed) break;
+        }
+
+        if (res.destroyed) return;
+
+        if (!started) await start();
+        if (format === 'json') await write('\n]\n');
+        res.end();
+
+    } catch (error) {
+        if (error.name === 'PaginationError') {
+            return sendPaginationError(res, error);
+        }
+
+        console.error('Error in exportUsers:', error);
+        cursor?.close().catch(() => {});
+
+        // Once rows have been sent the status can't change, so cut the download short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while exporting users',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 
 // Get user by ID with all fields (Admin only)
 export const getUserById = async (req, res) => {
@@ -249,8 +460,8 @@ export const getUserById = async (req, res) => {
             });
         }
 
-        // Get user with all fields including sensitive ones (admin only)
-        const user = await User.findById(id).select('+password +emailVerificationToken +emailVerificationExpires +passwordResetToken +passwordResetExpires');
+        // Password is selected only to report whether one is set
+        const user = await User.findById(id).select('+password');
 
         if (!user) {
             return res.status(404).json({
@@ -285,11 +496,12 @@ export const getUserById = async (req, res) => {
 export const updateUser = async (req, res) => {
     try {
         const { id } = req.params;
-        const isAdmin = req.user.role === 'admin';
+        const canManageUsers = hasPermission(req, 'users:update');
+        const canAssignRoles = hasPermission(req, 'users:assign-role');
         const isSelfUpdate = req.user.id === id;
 
         // Check authorization
-        if (!isAdmin && !isSelfUpdate) {
+        if (!canManageUsers && !isSelfUpdate) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this user'
@@ -330,7 +542,7 @@ export const updateUser = async (req, res) => {
         } = req.body;
 
         // Restrict certain fields for self-update
-        if (isSelfUpdate && !isAdmin) {
+        if (isSelfUpdate && !canManageUsers) {
             if (role && role !== user.role) {
                 return res.status(403).json({
                     success: false,
@@ -343,11 +555,31 @@ export const updateUser = async (req, res) => {
                     message: 'Cannot change email verification status'
                 });
             }
+            // Email and password changes need re-verification through the auth endpoints
+            if (email && email !== user.email) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Use /api/auth/change-email to change your email address'
+                });
+            }
+            if (password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Use /api/auth/change-password to change your password'
+                });
+            }
+        }
+
+        if (role && role !== user.role && !canAssignRoles) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to change user roles'
+            });
         }
 
         // Check if email is being changed and if it already exists
         if (email && email !== user.email) {
-            const existingUser = await User.findOne({ email, _id: { $ne: id } });
+            const existingUser = await User.findOne({ email, _id: { $ne: id } }).setOptions({ withDeleted: true });
             if (existingUser) {
                 return res.status(400).json({
                     success: false,
@@ -356,10 +588,8 @@ export const updateUser = async (req, res) => {
             }
             user.email = email;
             // Reset email verification if email is changed
-            if (isAdmin || isSelfUpdate) {
+            if (canManageUsers || isSelfUpdate) {
                 user.isEmailVerified = false;
-                user.emailVerificationToken = undefined;
-                user.emailVerificationExpires = undefined;
             }
         }
 
@@ -369,11 +599,17 @@ export const updateUser = async (req, res) => {
             const salt = await bcrypt.genSalt(10);
             user.password = await bcrypt.hash(password, salt);
         }
-        if (role && isAdmin) user.role = role;
-        if (isEmailVerified !== undefined && isAdmin) user.isEmailVerified = isEmailVerified;
+        const roleChanged = !!role && role !== user.role;
+        if (roleChanged) user.role = role;
+        if (isEmailVerified !== undefined && canManageUsers) user.isEmailVerified = isEmailVerified;
 
         await user.save();
 
+        // Tokens issued under the old role must stop working
+        if (roleChanged) {
+            await invalidateUserTokens(user._id, 'role_changed');
+        }
+
         // Get updated user without sensitive fields
         const updatedUser = await User.findById(id);
 
@@ -431,13 +667,17 @@ export const deleteUser = async (req, res) => {
             role: user.role
         };
 
-        await User.findByIdAndDelete(id);
+        // Moved to the trash with their profile; restorable until the retention job purges it
+        const { deletedAt, purgeAt, revokedSessions } = await trashUser(user, { deletedBy: req.user._id, req });
 
         res.status(200).json({
             success: true,
-            message: 'User deleted successfully',
+            message: 'User moved to trash',
             data: {
-                deletedUser: deletedUserInfo
+                deletedUser: deletedUserInfo,
+                deletedAt,
+                purgeAt,
+                revokedSessions
             }
         });
 
@@ -451,6 +691,149 @@ export const deleteUser = async (req, res) => {
     }
 };
 
+const TRASH_SORT_FIELDS = ['deletedAt', ...USER_SORT_FIELDS];
+
+// Users deleted by an admin, newest first, with the date each will be purged (Admin only)
+export const getTrashedUsers = async (req, res) => {
+    try {
+        const { search } = req.query;
+
+        const filter = { deletedAt: { $ne: null } };
+
+        if (search) {
+            filter.$or = [
+                { fullName: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const { items: users, pagination } = await paginate(
+            User,
+            filter,
+            parsePagination(req.query, {
+                sortFields: TRASH_SORT_FIELDS,
+                defaultSort: '-deletedAt',
+                defaultLimit: 10
+            }),
+            query => query.select('-password').populate('deletedBy', 'fullName email').lean()
+        );
+
+        const retentionMs = getTrashRetentionMs();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                users: users.map(user => ({
+                    ...user,
+                    purgeAt: new Date(user.deletedAt.getTime() + retentionMs)
+                })),
+                pagination
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'PaginationError') {
+            return sendPaginationError(res, error);
+        }
+
+        console.error('Error in getTrashedUsers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching deleted users',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Find a user in the trash, or send the error response and return null
+const findTrashedUser = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid user ID'
+        });
+        return null;
+    }
+
+    const user = await User.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found in trash'
+        });
+        return null;
+    }
+
+    return user;
+};
+
+// Restore a user and their profile from the trash (Admin only)
+export const restoreUser = async (req, res) => {
+    try {
+        const user = await findTrashedUser(req, res);
+        if (!user) return;
+
+        await restoreTrashedUser(user, { restoredBy: req.user._id, req });
+
+        // The role may have been deleted while the user was in the trash
+        if (!(await Role.exists({ name: user.role }))) {
+            await User.updateOne({ _id: user._id }, { role: 'user' });
+        }
+
+        const restoredUser = await User.findById(user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'User restored successfully',
+            data: {
+                user: restoredUser
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in restoreUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while restoring user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Purge a user from the trash without waiting for the retention period (Admin only)
+export const purgeTrashedUser = async (req, res) => {
+    try {
+        const user = await findTrashedUser(req, res);
+        if (!user) return;
+
+        // Removes the profile, contact messages and sessions too, leaving a tombstone
+        await purgeUser(user, { reason: 'admin', deletedBy: req.user._id, req });
+
+        res.status(200).json({
+            success: true,
+            message: 'User permanently deleted',
+            data: {
+                deletedUser: {
+                    id: user._id,
+                    fullName: user.fullName,
+                    email: user.email,
+                    role: user.role
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in purgeTrashedUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 // Update user status (Admin only)
 export const updateUserStatus = async (req, res) => {
     try {
@@ -481,13 +864,6 @@ export const updateUserStatus = async (req, res) => {
 
         const oldStatus = user.isEmailVerified;
         user.isEmailVerified = isEmailVerified;
-
-        // Clear verification tokens if manually verifying
-        if (isEmailVerified) {
-            user.emailVerificationToken = undefined;
-            user.emailVerificationExpires = undefined;
-        }
-
         await user.save();
 
         res.status(200).json({
@@ -512,6 +888,339 @@ export const updateUserStatus = async (req, res) => {
     }
 };
 
+// Clear a login lockout (Admin only)
+export const unlockUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const wasLocked = !!user.lockUntil && user.lockUntil > new Date();
+        await clearFailedLogins(user._id);
+
+        res.status(200).json({
+            success: true,
+            message: wasLocked ? 'User account unlocked' : 'Failed login attempts cleared',
+            data: {
+                userId: user._id,
+                fullName: user.fullName,
+                email: user.email,
+                wasLocked
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in unlockUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unlocking user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Invalidate every access and refresh token of a user (Admin only)
+export const forceLogoutUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const revokedSessions = await invalidateUserTokens(user._id, 'forced_logout');
+
+        res.status(200).json({
+            success: true,
+            message: 'User has been logged out of all devices',
+            data: {
+                userId: user._id,
+                fullName: user.fullName,
+                email: user.email,
+                revokedSessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in forceLogoutUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while logging out user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Load the target of a status change, or send the error response and return null
+const findStatusTarget = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid user ID'
+        });
+        return null;
+    }
+
+    if (req.user.id === id) {
+        res.status(400).json({
+            success: false,
+            message: 'Cannot change the status of your own account'
+        });
+        return null;
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    return user;
+};
+
+const sendStatusChanged = (res, user, { accountStatus, revokedSessions }, message) => {
+    return res.status(200).json({
+        success: true,
+        message,
+        data: {
+            userId: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            accountStatus,
+            revokedSessions
+        }
+    });
+};
+
+// Suspend a user until a date (requires users:suspend)
+export const suspendUser = async (req, res) => {
+    try {
+        const { reason, until } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to suspend a user'
+            });
+        }
+
+        const suspendedUntil = new Date(until);
+        if (!until || isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Suspension end date must be a valid date in the future'
+            });
+        }
+
+        const user = await findStatusTarget(req, res);
+        if (!user) return;
+
+        const result = await setAccountStatus(user, {
+            state: ACCOUNT_STATES.SUSPENDED,
+            reason: String(reason).trim(),
+            until: suspendedUntil,
+            changedBy: req.user._id,
+            req
+        });
+
+        sendStatusChanged(res, user, result, `User suspended until ${suspendedUntil.toUTCString()}`);
+
+    } catch (error) {
+        if (error.name === 'AccountStatusError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error in suspendUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while suspending user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Ban a user until reinstated (requires users:suspend)
+export const banUser = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to ban a user'
+            });
+        }
+
+        const user = await findStatusTarget(req, res);
+        if (!user) return;
+
+        const result = await setAccountStatus(user, {
+            state: ACCOUNT_STATES.BANNED,
+            reason: String(reason).trim(),
+            changedBy: req.user._id,
+            req
+        });
+
+        sendStatusChanged(res, user, result, 'User banned');
+
+    } catch (error) {
+        console.error('Error in banUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while banning user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Lift a suspension or ban (requires users:suspend)
+export const reinstateUser = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const user = await findStatusTarget(req, res);
+        if (!user) return;
+
+        if (!getAccountRestriction(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not suspended or banned'
+            });
+        }
+
+        const result = await setAccountStatus(user, {
+            state: ACCOUNT_STATES.ACTIVE,
+            reason: reason ? String(reason).trim() : '',
+            changedBy: req.user._id,
+            req
+        });
+
+        sendStatusChanged(res, user, result, 'User reinstated');
+
+    } catch (error) {
+        console.error('Error in reinstateUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while reinstating user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Issue a short-lived token to act as a user (requires users:impersonate)
+export const impersonateUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to impersonate a user'
+            });
+        }
+
+        if (req.user._id.toString() === id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot impersonate yourself'
+            });
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Staff who can impersonate can't be impersonated, so nobody borrows a peer's
+        // access, and neither can anyone whose role grants something the impersonator lacks
+        const targetPermissions = await Role.getPermissions(user.role);
+        const exceedsImpersonator = targetPermissions.some(permission => !hasPermission(req, permission));
+        if (targetPermissions.includes('users:impersonate') || exceedsImpersonator) {
+            return res.status(403).json({
+                success: false,
+                message: 'This user cannot be impersonated'
+            });
+        }
+
+        const accessToken = await generateImpersonationToken(user, req.user);
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.IMPERSONATION_START,
+            actor: req.user._id,
+            subject: user._id,
+            req,
+            statusCode: 200,
+            metadata: { reason: String(reason).trim() }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `You are now acting as ${user.fullName}. Every request is recorded.`,
+            data: {
+                accessToken,
+                expiresIn: IMPERSONATION_TOKEN_TTL_SECONDS,
+                user,
+                impersonator: {
+                    _id: req.user._id,
+                    fullName: req.user.fullName,
+                    email: req.user.email
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in impersonateUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting impersonation',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 // Bulk operations (Admin only)
 export const bulkDeleteUsers = async (req, res) => {
     try {
@@ -542,19 +1251,24 @@ export const bulkDeleteUsers = async (req, res) => {
             });
         }
 
-        // Get users info before deletion
-        const usersToDelete = await User.find({ _id: { $in: userIds } })
-            .select('fullName email role');
+        const usersToDelete = await User.find({ _id: { $in: userIds } });
 
-        // Delete users
-        const result = await User.deleteMany({ _id: { $in: userIds } });
+        // Moved to the trash with their profiles, like a single delete
+        for (const user of usersToDelete) {
+            await trashUser(user, { deletedBy: req.user._id, req });
+        }
 
         res.status(200).json({
             success: true,
-            message: `${result.deletedCount} users deleted successfully`,
+            message: `${usersToDelete.length} users moved to trash`,
             data: {
-                deletedCount: result.deletedCount,
-                deletedUsers: usersToDelete
+                deletedCount: usersToDelete.length,
+                deletedUsers: usersToDelete.map(user => ({
+                    _id: user._id,
+                    fullName: user.fullName,
+                    email: user.email,
+                    role: user.role
+                }))
             }
         });
 
@@ -568,6 +1282,215 @@ export const bulkDeleteUsers = async (req, res) => {
     }
 };
 
+const BULK_MAX_USERS = 500;
+
+// Actions for bulkUpdateUsers. Each needs the permission of its single-user
+// endpoint; validate checks the shared params once and returns an error
+// message, apply handles one user and returns its result.
+const BULK_ACTIONS = {
+    'change-role': {
+        permission: 'users:assign-role',
+        validate: async ({ role }) => {
+            if (!role) return 'params.role is required';
+            return (await Role.roleExists(role)) ? null : 'Invalid role';
+        },
+        apply: async (user, { role }, req) => {
+            if (user.id === req.user.id) return { status: 'failed', message: 'Cannot change your own role' };
+            if (user.role === role) return { status: 'skipped', message: `Already has the ${role} role` };
+
+            const oldRole = user.role;
+            user.role = role;
+            await user.save();
+            // Tokens issued under the old role must stop working
+            await invalidateUserTokens(user._id, 'role_changed');
+
+            return { status: 'succeeded', message: `Role changed from ${oldRole} to ${role}` };
+        }
+    },
+    'mark-verified': {
+        permission: 'users:update',
+        apply: async (user) => {
+            if (user.isEmailVerified) return { status: 'skipped', message: 'Email is already verified' };
+
+            user.isEmailVerified = true;
+            await user.save();
+
+            return { status: 'succeeded', message: 'Email marked as verified' };
+        }
+    },
+    'resend-verification': {
+        permission: 'users:update',
+        apply: async (user) => {
+            if (user.isEmailVerified) return { status: 'skipped', message: 'Email is already verified' };
+
+            // Replaces any earlier verification link
+            const emailVerificationToken = await createEmailVerificationToken(user);
+            try {
+                await sendVerificationEmail(user, emailVerificationToken);
+            } catch (emailError) {
+                console.error('Failed to send verification email:', emailError);
+                return { status: 'failed', message: 'Failed to send verification email' };
+            }
+
+            return { status: 'succeeded', message: 'Verification email sent' };
+        }
+    },
+    suspend: {
+        permission: 'users:suspend',
+        validate: async ({ reason, until }) => {
+            if (!reason || !String(reason).trim()) return 'A reason is required to suspend a user';
+
+            const suspendedUntil = new Date(until);
+            if (!until || isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+                return 'Suspension end date must be a valid date in the future';
+            }
+            return null;
+        },
+        apply: async (user, { reason, until }, req) => {
+            if (user.id === req.user.id) return { status: 'failed', message: 'Cannot change the status of your own account' };
+
+            const suspendedUntil = new Date(until);
+            try {
+                await setAccountStatus(user, {
+                    state: ACCOUNT_STATES.SUSPENDED,
+                    reason: String(reason).trim(),
+                    until: suspendedUntil,
+                    changedBy: req.user._id,
+                    req
+                });
+            } catch (statusError) {
+                if (statusError.name === 'AccountStatusError') return { status: 'skipped', message: statusError.message };
+                throw statusError;
+            }
+
+            return { status: 'succeeded', message: `Suspended until ${suspendedUntil.toUTCString()}` };
+        }
+    },
+    delete: {
+        permission: 'users:delete',
+        apply: async (user, params, req) => {
+            if (user.id === req.user.id) return { status: 'failed', message: 'Cannot delete your own account' };
+
+            // Moved to the trash with their profile, like a single delete
+            await trashUser(user, { deletedBy: req.user._id, req });
+
+            return { status: 'succeeded', message: 'User moved to trash' };
+        }
+    }
+};
+
+// Apply one action to a list of users, or to every user matching a filter
+// (requires the permission of the action). Returns a result for each user.
+export const bulkUpdateUsers = async (req, res) => {
+    try {
+        const { action, userIds, filter, params = {} } = req.body;
+
+        const bulkAction = BULK_ACTIONS[action];
+        if (!bulkAction) {
+            return res.status(400).json({
+                success: false,
+                message: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
+            });
+        }
+
+        if (!hasPermission(req, bulkAction.permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+
+        if (!userIds === !filter) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide either userIds or filter'
+            });
+        }
+
+        const paramsError = bulkAction.validate && await bulkAction.validate(params);
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                message: paramsError
+            });
+        }
+
+        const results = [];
+        let users;
+
+        if (userIds) {
+            if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > BULK_MAX_USERS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `userIds must be an array of 1 to ${BULK_MAX_USERS} IDs`
+                });
+            }
+
+            const ids = [...new Set(userIds.map(String))];
+            const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+            users = await User.find({ _id: { $in: validIds } });
+
+            const foundIds = new Set(users.map(user => user.id));
+            for (const id of ids) {
+                if (!mongoose.Types.ObjectId.isValid(id)) {
+                    results.push({ id, status: 'failed', message: 'Invalid user ID' });
+                } else if (!foundIds.has(id)) {
+                    results.push({ id, status: 'failed', message: 'User not found' });
+                }
+            }
+        } else {
+            // Same filters as the user listing; an empty one would match everyone
+            const userFilter = buildUserFilter(filter);
+            if (Object.keys(userFilter).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'filter needs at least one of role, isEmailVerified or search'
+                });
+            }
+
+            users = await User.find(userFilter).sort({ createdAt: 1 }).limit(BULK_MAX_USERS + 1);
+            if (users.length > BULK_MAX_USERS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The filter matches more than ${BULK_MAX_USERS} users; narrow it down`
+                });
+            }
+        }
+
+        for (const user of users) {
+            try {
+                results.push({ id: user.id, email: user.email, ...(await bulkAction.apply(user, params, req)) });
+            } catch (userError) {
+                console.error(`Bulk ${action} failed for user ${user._id}:`, userError);
+                results.push({ id: user.id, email: user.email, status: 'failed', message: 'Server error while updating this user' });
+            }
+        }
+
+        const summary = { total: results.length, succeeded: 0, skipped: 0, failed: 0 };
+        results.forEach(result => {
+            summary[result.status] += 1;
+        });
+
+        res.status(200).json({
+            success: summary.failed === 0,
+            message: `${action}: ${summary.succeeded} succeeded, ${summary.skipped} skipped, ${summary.failed} failed`,
+            data: {
+                action,
+                summary,
+                results
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in bulkUpdateUsers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating users',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 // Get user statistics (Admin only)
 export const getUserStatistics = async (req, res) => {
     try {
@@ -581,12 +1504,6 @@ export const getUserStatistics = async (req, res) => {
                     },
                     unverifiedUsers: {
                         $sum: { $cond: ['$isEmailVerified', 0, 1] }
-                    },
-                    users: {
-                        $sum: { $cond: [{ $eq: ['$role', 'user'] }, 1, 0] }
-                    },
-                    admins: {
-                        $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] }
                     }
                 }
             }
@@ -617,18 +1534,17 @@ export const getUserStatistics = async (req, res) => {
             }
         ]);
 
-        const statistics = stats[0] || {
-            totalUsers: 0,
-            verifiedUsers: 0,
-            unverifiedUsers: 0,
-            users: 0,
-            admins: 0
-        };
+        const { totalUsers = 0, verifiedUsers = 0, unverifiedUsers = 0 } = stats[0] || {};
+        const statistics = { totalUsers, verifiedUsers, unverifiedUsers };
+
+        // Counts for every role, including custom staff roles
+        const roles = await countUsersByRole();
 
         res.status(200).json({
             success: true,
             data: {
                 overview: statistics,
+                roles,
                 registrationTrends,
                 verificationRate: statistics.totalUsers > 0
                     ? Math.round((statistics.verifiedUsers / statistics.totalUsers) * 100)
@@ -688,6 +1604,10 @@ export const changeUserRole = async (req, res) => {
         const oldRole = user.role;
         user.role = role;
         await user.save();
+        // Tokens issued under the old role must stop working
+        if (oldRole !== role) {
+            await invalidateUserTokens(user._id, 'role_changed');
+        }
         // Get updated user without sensitive fields
         const updatedUser = await User.findById(id);
         res.status(200).json({
@@ -1,15 +1,101 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { isSessionActive, isTokenVersionCurrent, verifyChallengeToken } from '../utils/authTokens.js';
+import { findActiveApiKey, recordApiKeyUsage } from '../utils/apiKeys.js';
+import { verifyAccessToken } from '../utils/keyManager.js';
+import { auditImpersonatedRequest } from '../utils/auditLog.js';
+import { isDeletionPending, sendDeletionPendingResponse } from '../utils/accountDeletion.js';
+import { getAccountRestriction, sendAccountRestrictedResponse } from '../utils/accountStatus.js';
+import { isSessionAuthEnabled, destroyCookieSession } from '../utils/cookieSessions.js';
+import { recordFailedAttempt, sendPasswordResetRequiredResponse } from '../utils/loginHistory.js';
+import { csrfProtection } from './csrf.js';
 
-// ✅ Middleware to authenticate users
+// The admin behind an impersonation token, if they may still impersonate
+const loadImpersonator = async (decoded) => {
+    const impersonator = await User.findById(decoded.imp).select('-password');
+    if (!impersonator || (decoded.itv || 0) !== (impersonator.tokenVersion || 0)) return null;
+
+    const permissions = await Role.getPermissions(impersonator.role);
+    return permissions.includes('users:impersonate') ? impersonator : null;
+};
+
+// Integrations authenticate with an X-API-Key header. There is no user on
+// these requests; the key's scopes are its permissions.
+const authenticateApiKey = async (rawKey, req, res, next) => {
+    try {
+        const apiKey = await findActiveApiKey(rawKey);
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, invalid or expired API key'
+            });
+        }
+
+        recordApiKeyUsage(apiKey, req.ip);
+
+        req.user = null;
+        req.apiKey = apiKey;
+        req.permissions = apiKey.scopes;
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(401).json({
+            success: false,
+            message: 'Not authorized, invalid API key'
+        });
+    }
+};
+
+// The first-party web client can authenticate with a session cookie instead
+// of a Bearer token when AUTH_MODE enables sessions, see utils/cookieSessions.js
+const authenticateSession = async (req, res, next) => {
+    try {
+        const { userId, tokenVersion, sid } = req.session;
+        const user = await User.findById(userId).select('-password');
+
+        // Sessions die with the UserSession they belong to and, like tokens,
+        // after a password reset, role change or forced logout
+        if (!user || !isTokenVersionCurrent({ tv: tokenVersion }, user) || !(await isSessionActive(sid))) {
+            await destroyCookieSession(req, res);
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, session has expired or been revoked'
+            });
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            return sendAccountRestrictedResponse(res, restriction);
+        }
+
+        req.user = user;
+        req.sessionId = sid;
+        req.permissions = await Role.getPermissions(user.role);
+
+        // The browser sends the cookie on cross-site requests too
+        return csrfProtection(req, res, next);
+    } catch (error) {
+        console.error(error);
+        res.status(401).json({
+            success: false,
+            message: 'Not authorized, invalid session'
+        });
+    }
+};
+
+// ✅ Middleware to authenticate users (Bearer token or session cookie) or integrations (X-API-Key)
 export const authenticate = async (req, res, next) => {
     let token;
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    const hasBearerToken = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+    if (!hasBearerToken && req.headers['x-api-key']) {
+        return authenticateApiKey(req.headers['x-api-key'], req, res, next);
+    }
+    if (hasBearerToken) {
         try {
             // Get token from header
             token = req.headers.authorization.split(' ')[1];
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Verify token against the signing key named by its kid header
+            const decoded = await verifyAccessToken(token);
             // Get user from the token (excluding password)
             req.user = await User.findById(decoded.id).select('-password');
             if (!req.user) {
@@ -18,6 +104,47 @@ export const authenticate = async (req, res, next) => {
                     message: 'Not authorized, user not found'
                 });
             }
+            // Reject tokens issued before a password reset, role change or forced logout
+            if (!isTokenVersionCurrent(decoded, req.user)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Not authorized, token has been revoked'
+                });
+            }
+            // Suspended or banned since the token was issued
+            const restriction = getAccountRestriction(req.user);
+            if (restriction) {
+                return sendAccountRestrictedResponse(res, restriction);
+            }
+            // Reject tokens whose device session has been logged out
+            if (decoded.sid) {
+                if (!(await isSessionActive(decoded.sid))) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Not authorized, session has been revoked'
+                    });
+                }
+                req.sessionId = decoded.sid;
+            }
+            // Impersonation tokens act as req.user on behalf of req.impersonator;
+            // every request made with one is written to the audit log
+            if (decoded.imp) {
+                req.impersonator = await loadImpersonator(decoded);
+                if (!req.impersonator) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Not authorized, impersonation is no longer allowed'
+                    });
+                }
+                auditImpersonatedRequest(req, res);
+            }
+            // Permissions come from the user's role, see config/permissions.js
+            req.permissions = await Role.getPermissions(req.user.role);
+            // An impersonator never gets more than their own role grants
+            if (req.impersonator) {
+                const impersonatorPermissions = await Role.getPermissions(req.impersonator.role);
+                req.permissions = req.permissions.filter(permission => impersonatorPermissions.includes(permission));
+            }
             next();
         } catch (error) {
             console.error(error);
@@ -26,6 +153,8 @@ export const authenticate = async (req, res, next) => {
                 message: 'Not authorized, invalid token'
             });
         }
+    } else if (isSessionAuthEnabled() && req.session?.userId) {
+        return authenticateSession(req, res, next);
     } else {
         return res.status(401).json({
             success: false,
@@ -34,59 +163,96 @@ export const authenticate = async (req, res, next) => {
     }
 };
 
-// Alias for compatibility with course creation routes
-export const protect = authenticate;
+// Like authenticate, but only for people: endpoints that act on the user's own
+// account or on behalf of a person don't accept API keys
+export const protect = (req, res, next) => {
+    const hasBearerToken = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+    if (!hasBearerToken && req.headers['x-api-key']) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized, API keys cannot be used for this endpoint'
+        });
+    }
+    return authenticate(req, res, next);
+};
 
-// ✅ Generic role-based access control middleware
-export const restrictTo = (...roles) => {
-    return (req, res, next) => {
-        // roles is an array like ['admin', 'instructor', 'student']
-        if (!roles.includes(req.user?.role)) {
-            return res.status(403).json({
+// Accept a login challenge token from the body in place of a Bearer token,
+// e.g. so a user required to use 2FA can enrol before their first login
+export const authenticateWithChallenge = (purpose) => {
+    return async (req, res, next) => {
+        const challengeToken = req.body?.challengeToken;
+        if (!challengeToken) {
+            return protect(req, res, next);
+        }
+
+        try {
+            const decoded = verifyChallengeToken(challengeToken, purpose);
+            req.user = await User.findById(decoded.id).select('-password');
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Not authorized, user not found'
+                });
+            }
+            // Reject challenges issued before a password reset, role change or forced logout
+            if (!isTokenVersionCurrent(decoded, req.user)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired challenge token'
+                });
+            }
+            // The challenge may predate a deletion request
+            if (isDeletionPending(req.user)) {
+                return sendDeletionPendingResponse(res, req.user);
+            }
+            const restriction = getAccountRestriction(req.user);
+            if (restriction) {
+                return sendAccountRestrictedResponse(res, restriction);
+            }
+            // Enrolling with a challenge signs the user in, so it is a login step too
+            if (req.user.passwordResetRequired) {
+                await recordFailedAttempt(req, { user: req.user, type: 'login', failureReason: 'password_reset_required' });
+                return sendPasswordResetRequiredResponse(res);
+            }
+            req.challengePurpose = purpose;
+            req.permissions = await Role.getPermissions(req.user.role);
+            next();
+        } catch (error) {
+            return res.status(401).json({
                 success: false,
-                message: 'You do not have permission to perform this action'
+                message: 'Invalid or expired challenge token'
             });
         }
-        next();
     };
 };
 
-// ✅ Specific role middleware functions
-export const isInstructor = (req, res, next) => {
-    if (req.user?.role !== 'instructor') {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Instructor privileges required.'
-        });
-    }
-    next();
+// Whether the current user's role grants a permission
+export const hasPermission = (req, permission) => {
+    return !!req.permissions?.includes(permission);
 };
 
-export const isAdmin = (req, res, next) => {
-    if (req.user?.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to perfome this action'
-        });
-    }
-    next();
-};
-
-export const isStudent = (req, res, next) => {
-    if (req.user?.role !== 'student') {
-        return res.status(403).json({
-            success: false,
-            message: 'Only students are allowed to enroll for an internship!'
-        });
-    }
-    next();
+// ✅ Permission-based access control middleware, e.g. requirePermission('users:delete').
+// When several permissions are given the user needs all of them.
+export const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!permissions.every(permission => hasPermission(req, permission))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+        next();
+    };
 };
 
-export const isAdminOrInstructor = (req, res, next) => {
-    if (req.user?.role !== 'admin' && req.user?.role !== 'instructor') {
+// Refuse actions that must only ever be taken by the account owner,
+// like changing the password, while impersonating. The refused request still
+// ends up in the audit log with its 403 status.
+export const blockImpersonation = (req, res, next) => {
+    if (req.impersonator) {
         return res.status(403).json({
             success: false,
-            message: 'Access denied. Admin or instructor privileges required.'
+            message: 'This action is not allowed while impersonating a user'
         });
     }
     next();
@@ -101,11 +267,12 @@ export const isLoggedIn = async (req, res, next) => {
             const token = req.headers.authorization.split(' ')[1];
 
             try {
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
+                const decoded = await verifyAccessToken(token);
                 const currentUser = await User.findById(decoded.id).select('-password');
 
-                if (currentUser) {
+                if (currentUser && isTokenVersionCurrent(decoded, currentUser)) {
                     req.user = currentUser;
+                    req.permissions = await Role.getPermissions(currentUser.role);
                 }
             } catch (error) {
                 // Token invalid or expired, continue without user
@@ -119,8 +286,9 @@ export const isLoggedIn = async (req, res, next) => {
     }
 };
 
-// Middleware to check if user owns the resource
-export const checkOwnership = (Model, paramName = 'id', ownerField = 'user') => {
+// Middleware to check if user owns the resource; users holding
+// `overridePermission` may access resources they don't own
+export const checkOwnership = (Model, paramName = 'id', ownerField = 'user', overridePermission = null) => {
     return async (req, res, next) => {
         try {
             const resourceId = req.params[paramName];
@@ -137,7 +305,7 @@ export const checkOwnership = (Model, paramName = 'id', ownerField = 'user') =>
             const resourceOwnerId = resource[ownerField]?.toString() || resource[ownerField];
             const currentUserId = req.user.id || req.user._id.toString();
 
-            if (resourceOwnerId !== currentUserId && req.user.role !== 'admin') {
+            if (resourceOwnerId !== currentUserId && !(overridePermission && hasPermission(req, overridePermission))) {
                 return res.status(403).json({
                     success: false,
                     message: 'You do not have permission to access this resource'
@@ -154,64 +322,4 @@ export const checkOwnership = (Model, paramName = 'id', ownerField = 'user') =>
             });
         }
     };
-};
-
-// Middleware to check if user can access course (instructor or enrolled student)
-export const canAccessCourse = async (req, res, next) => {
-    try {
-        const courseId = req.params.courseId || req.params.id;
-        const userId = req.user.id || req.user._id.toString();
-
-        // Import models dynamically to avoid circular dependencies
-        const Course = (await import('../models/Course.js')).default;
-        const Enrollment = (await import('../models/Enrollment.js')).default;
-
-        const course = await Course.findById(courseId);
-        if (!course) {
-            return res.status(404).json({
-                success: false,
-                message: 'Course not found'
-            });
-        }
-
-        // Check if user is instructor of the course
-        if (course.instructor.toString() === userId) {
-            req.course = course;
-            req.userRole = 'instructor';
-            return next();
-        }
-
-        // Check if user is admin
-        if (req.user.role === 'admin') {
-            req.course = course;
-            req.userRole = 'admin';
-            return next();
-        }
-
-        // Check if user is enrolled in the course
-        const enrollment = await Enrollment.findOne({
-            user: userId,
-            course: courseId,
-            status: 'active'
-        });
-
-        if (!enrollment) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have access to this course'
-            });
-        }
-
-        req.course = course;
-        req.enrollment = enrollment;
-        req.userRole = 'student';
-        next();
-
-    } catch (error) {
-        return res.status(500).json({
-            success: false,
-            message: 'Error checking course access',
-            error: error.message
-        });
-    }
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import { cookieOptions } from '../utils/authTokens.js';
+import { isAllowedOrigin } from '../../config/cors.js';
+
+// Double-submit CSRF protection for routes authenticated by cookies rather
+// than the Authorization header. The token lives in a signed httpOnly cookie
+// and the client echoes it back in the X-CSRF-Token header, which a
+// cross-site form or fetch can't set.
+export const CSRF_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Same lifetime and cross-site settings as the refresh token cookie it protects
+const csrfCookieOptions = {
+    ...cookieOptions,
+    signed: true
+};
+
+const tokensMatch = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Returns the caller's CSRF token, setting the cookie if it doesn't have one yet.
+// An existing token is kept so other open tabs don't lose theirs.
+export const issueCsrfToken = (req, res) => {
+    const token = req.signedCookies?.[CSRF_COOKIE] || crypto.randomBytes(32).toString('hex');
+
+    res.cookie(CSRF_COOKIE, token, csrfCookieOptions);
+    return token;
+};
+
+// Rejects state-changing requests from origins outside the CORS allow-list and
+// requests whose X-CSRF-Token header doesn't match the cookie
+export const csrfProtection = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+
+    const origin = req.get('Origin');
+    if (origin && !isAllowedOrigin(origin) && process.env.NODE_ENV !== 'development') {
+        return res.status(403).json({
+            success: false,
+            message: 'Request origin is not allowed'
+        });
+    }
+
+    const cookieToken = req.signedCookies?.[CSRF_COOKIE];
+    const headerToken = req.get(CSRF_HEADER);
+
+    if (!cookieToken || !headerToken || !tokensMatch(cookieToken, headerToken)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Invalid or missing CSRF token'
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,40 @@
+import multer from 'multer';
+
+const CSV_MAX_BYTES = 1024 * 1024; // 1 MB
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+// Spreadsheet apps label CSV files inconsistently, so the extension counts too
+const isCsvFile = (file) => {
+    return CSV_MIME_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname);
+};
+
+const csvUploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CSV_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!isCsvFile(file)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+// Accept a single CSV file in the "file" field, kept in memory as req.file.
+// Upload problems get a 400 instead of reaching the error handler.
+export const csvUpload = (req, res, next) => {
+    csvUploader.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        let message = 'File upload failed';
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            message = `File must be at most ${CSV_MAX_BYTES / 1024} KB`;
+        } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+            message = 'Upload a single CSV file in the "file" field';
+        }
+
+        return res.status(400).json({
+            success: false,
+            message
+        });
+    });
+};
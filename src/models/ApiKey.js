@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../../config/permissions.js';
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // First characters of the key, shown so admins can tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    // SHA-256 hash of the key, the raw key is only shown once on creation
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [String],
+        validate: {
+            validator: (scopes) => scopes.length > 0 && scopes.every(scope => API_KEY_SCOPES.includes(scope)),
+            message: `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`
+        }
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('ApiKey', apiKeySchema);
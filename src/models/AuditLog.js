@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+    // e.g. impersonation.start, impersonation.request
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+        index: true
+    },
+    // Who performed the action (for impersonation, the admin)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Whose account the action was performed on or as
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ipAddress: String,
+    userAgent: String,
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
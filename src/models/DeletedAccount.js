@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Tombstone kept after an account and its data are purged, see
+// utils/accountDeletion.js. Holds no personal data beyond a hash of the email,
+// which is enough to answer "did this address have an account?" for audits.
+const deletedAccountSchema = new mongoose.Schema({
+    // ID the user had; nothing references it any more
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'User ID is required'],
+        unique: true
+    },
+    // SHA-256 of the lowercased email address
+    emailHash: {
+        type: String,
+        required: [true, 'Email hash is required'],
+        index: true
+    },
+    role: String,
+    accountCreatedAt: Date,
+    // user_request after the grace period, or admin for an immediate delete
+    reason: {
+        type: String,
+        enum: ['user_request', 'admin'],
+        required: [true, 'Reason is required']
+    },
+    requestedAt: Date,
+    // Admin who deleted the account, when reason is admin
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Number of documents removed from each collection
+    purged: {
+        profiles: { type: Number, default: 0 },
+        contacts: { type: Number, default: 0 },
+        sessions: { type: Number, default: 0 },
+        refreshTokens: { type: Number, default: 0 },
+        loginEvents: { type: Number, default: 0 },
+        oneTimeTokens: { type: Number, default: 0 }
+    }
+}, {
+    timestamps: { createdAt: 'deletedAt', updatedAt: false }
+});
+
+export default mongoose.model('DeletedAccount', deletedAccountSchema);
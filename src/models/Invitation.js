@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// An admin's invitation to create an account. The invitee picks their own
+// password through the emailed link, see /api/auth/accept-invite.
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+        index: true
+    },
+    fullName: {
+        type: String,
+        required: [true, 'Full name is required'],
+        trim: true
+    },
+    // Name of the Role the account is created with
+    role: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: 'user'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Resending moves the expiry forward
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    lastSentAt: Date,
+    sendCount: {
+        type: Number,
+        default: 0
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    // Account created from the invitation
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('Invitation', invitationSchema);
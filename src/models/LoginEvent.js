@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const RETENTION_SECONDS = 90 * 24 * 60 * 60; // 90 days
+
+// One document per login or refresh attempt, see utils/loginHistory.js
+const loginEventSchema = new mongoose.Schema({
+    // Missing when the login named an email no account uses
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['login', 'refresh'],
+        required: [true, 'Type is required']
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    // e.g. invalid_credentials, account_locked, refresh_token_reused
+    failureReason: {
+        type: String,
+        default: null
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserSession'
+    },
+    ipAddress: String,
+    userAgent: String,
+    // Hash of browser, OS and device type; the same device keeps it across versions and networks
+    deviceId: {
+        type: String,
+        index: true
+    },
+    device: {
+        browser: String,
+        os: String,
+        type: { type: String }
+    },
+    // First successful login from this device
+    newDevice: {
+        type: Boolean,
+        default: false
+    },
+    // Set when the user reports the login through the new device email
+    reportedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+export default mongoose.model('LoginEvent', loginEventSchema);
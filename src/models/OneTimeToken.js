@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens sent in email links, see utils/oneTimeTokens.js
+const oneTimeTokenSchema = new mongoose.Schema({
+    // SHA-256 of the token; the token itself is only ever in the email
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+        unique: true
+    },
+    // e.g. email_verification, password_reset
+    purpose: {
+        type: String,
+        required: [true, 'Purpose is required']
+    },
+    // The account the token acts on, or for invitations, the invitation
+    // (the account doesn't exist yet)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    invitation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invitation'
+    },
+    // Values the flow needs when the token is used, such as the new address for an email change
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+oneTimeTokenSchema.index({ user: 1, purpose: 1 });
+oneTimeTokenSchema.index({ invitation: 1 });
+// Let MongoDB remove tokens once they have expired
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('OneTimeToken', oneTimeTokenSchema);
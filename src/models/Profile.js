@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const ProfileSchema = new mongoose.Schema({
     userId: {
@@ -61,4 +62,7 @@ ProfileSchema.pre('save', async function (next) {
     }
 });
 
+// Trashed and restored together with its user
+ProfileSchema.plugin(softDeletePlugin);
+
 export default mongoose.model('Profile', ProfileSchema);
\ No newline at end of file
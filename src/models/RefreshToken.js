@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        index: true
+    },
+    // SHA-256 hash of the issued token, the raw token is never stored
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+        unique: true
+    },
+    // All tokens produced by rotating the same login share a family,
+    // which is the id of the UserSession for that login
+    family: {
+        type: String,
+        required: [true, 'Token family is required'],
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
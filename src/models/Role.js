@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { DEFAULT_ROLES, SYSTEM_ROLES, PERMISSIONS, isValidPermission } from '../../config/permissions.js';
+
+// Permissions are looked up on every authenticated request, so they are cached
+// briefly. Changes made through this process clear the cache right away.
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+    // Referenced by User.role, so it can't be changed after creation
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        immutable: true,
+        match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name must start with a letter and contain only letters, numbers, - and _']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (permissions) => permissions.every(isValidPermission),
+            message: 'Unknown permission'
+        }
+    },
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+roleSchema.post('save', () => permissionCache.clear());
+roleSchema.post('deleteOne', { document: true, query: false }, () => permissionCache.clear());
+
+// Permissions granted to a role name; unknown roles get none
+roleSchema.statics.getPermissions = async function (name) {
+    const cached = permissionCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const role = await this.findOne({ name }).select('permissions').lean();
+    const permissions = role?.permissions || [];
+    permissionCache.set(name, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+    return permissions;
+};
+
+roleSchema.statics.roleExists = async function (name) {
+    return !!(await this.exists({ name }));
+};
+
+// Create missing default roles and give the admin role any permissions added since
+roleSchema.statics.seedDefaults = async function () {
+    for (const role of DEFAULT_ROLES) {
+        await this.updateOne(
+            { name: role.name },
+            { $setOnInsert: role },
+            { upsert: true }
+        );
+    }
+    await this.updateOne(
+        { name: SYSTEM_ROLES.ADMIN },
+        { $set: { permissions: Object.keys(PERMISSIONS), isSystem: true } }
+    );
+    permissionCache.clear();
+};
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Application-wide security settings, stored as a single document
+const securitySettingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+    // Users with these roles must enrol in two-factor authentication to log in
+    twoFactorRequiredRoles: {
+        type: [String],
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Fetch the settings document, creating it with defaults on first use
+securitySettingSchema.statics.getSettings = function () {
+    return this.findOneAndUpdate(
+        { key: 'global' },
+        { $setOnInsert: { key: 'global' } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+securitySettingSchema.statics.isTwoFactorRequired = async function (role) {
+    const settings = await this.getSettings();
+    return settings.twoFactorRequiredRoles.includes(role);
+};
+
+export default mongoose.model('SecuritySetting', securitySettingSchema);
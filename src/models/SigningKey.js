@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Asymmetric keys used to sign access tokens, see utils/keyManager.js
+const signingKeySchema = new mongoose.Schema({
+    // Sent as the `kid` header of every token signed with this key
+    kid: {
+        type: String,
+        required: [true, 'Key ID is required'],
+        unique: true
+    },
+    algorithm: {
+        type: String,
+        enum: ['RS256', 'EdDSA'],
+        required: [true, 'Algorithm is required']
+    },
+    publicKey: {
+        type: String,
+        required: [true, 'Public key is required']
+    },
+    // PEM encrypted with SIGNING_KEY_ENCRYPTION_KEY
+    privateKey: {
+        type: String,
+        required: [true, 'Private key is required'],
+        select: false
+    },
+    // Active keys sign new tokens; retired keys only verify until removeAt
+    status: {
+        type: String,
+        enum: ['active', 'retired'],
+        default: 'active',
+        index: true
+    },
+    // When a replacement key should be created
+    rotateAt: {
+        type: Date,
+        required: [true, 'Rotation date is required']
+    },
+    retiredAt: {
+        type: Date,
+        default: null
+    },
+    removeAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB remove retired keys once their grace period has passed
+signingKeySchema.index({ removeAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SigningKey', signingKeySchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -9,9 +10,10 @@ const userSchema = new mongoose.Schema({
         trim: true,
         match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
     },
+    // Accounts created through a social login may not have a password
     password: {
         type: String,
-        required: [true, 'Password is required'],
+        required: [function () { return !this.identities?.length; }, 'Password is required'],
         select: false,
         minlength: [5, 'Password must be at least 5 characters']
     },
@@ -20,33 +22,132 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Full name is required'],
         trim: true
     },
+    // Name of a Role document; permissions are granted through the role
     role: {
         type: String,
-        enum: ['admin', 'user'],
+        lowercase: true,
+        trim: true,
         default: 'user'
     },
     isEmailVerified: {
         type: Boolean,
         default: false
     },
-    emailVerificationToken: {
-        type: String
+    // Linked OpenID Connect accounts, see config/oidc.js
+    identities: [{
+        _id: false,
+        provider: {
+            type: String,
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        email: String,
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Email change waiting for confirmation from the new address
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    // Set when a login is reported as not the user's; every login path is refused until a reset
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
+    // Set when the user asks to delete their account. The account is deactivated
+    // until it is purged at deletionScheduledFor, see utils/accountDeletion.js
+    deletionRequestedAt: Date,
+    deletionScheduledFor: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    // Set by an admin to block an account, see utils/accountStatus.js. A suspension
+    // ends by itself once `until` has passed; a ban lasts until reinstated.
+    accountStatus: {
+        state: {
+            type: String,
+            enum: ['active', 'suspended', 'banned'],
+            default: 'active'
+        },
+        reason: String,
+        until: Date,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: Date
     },
-    emailVerificationExpires: {
-        type: Date
+    // Embedded in JWTs as `tv`; incrementing it invalidates all issued tokens
+    tokenVersion: {
+        type: Number,
+        default: 0
     },
-    passwordResetToken: String,
-    passwordResetExpires: Date
+    // Failed login tracking, see utils/loginThrottle.js
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Encrypted TOTP secret, see utils/totp.js
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret generated during enrolment, promoted once a code is verified
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last accepted time step, so a code can't be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    }
 }, {
     timestamps: true,
     toJSON: {
         transform: function (doc, ret) {
             delete ret.password;
-            delete ret.emailVerificationToken;
-            delete ret.emailVerificationExpires;
+            if (ret.twoFactor) {
+                delete ret.twoFactor.secret;
+                delete ret.twoFactor.pendingSecret;
+                delete ret.twoFactor.recoveryCodes;
+                delete ret.twoFactor.lastUsedStep;
+            }
             return ret;
         }
     }
 });
 
+// A provider account can only be linked to one user
+userSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Deleted by an admin: kept in the trash until restored or purged, see utils/accountDeletion.js
+userSchema.plugin(softDeletePlugin);
+
 export default mongoose.model('User', userSchema);
\ No newline at end of file
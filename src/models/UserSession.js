@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One document per signed-in device. Its id is the family shared by the
+// refresh tokens issued for that login, and the `sid` claim of access tokens.
+const userSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        index: true
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Sessions disappear once their refresh token could no longer be used
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('UserSession', userSessionSchema);
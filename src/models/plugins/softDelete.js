@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Soft deletion for a schema: adds deletedAt/deletedBy and hides deleted
+// documents from finds, counts, updates, deletes and aggregations. A query
+// sees them when its filter mentions deletedAt (e.g. the trash view) or it
+// sets the `withDeleted` option, e.g. User.findOne({ email }).setOptions({ withDeleted: true }).
+// Saving a loaded document and bulkWrite are not filtered.
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'countDocuments',
+    'distinct',
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany'
+];
+
+export const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    });
+
+    schema.pre(QUERY_HOOKS, { document: false, query: true }, function () {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const firstStage = this.pipeline()[0];
+        if (this.options.withDeleted || firstStage?.$match?.deletedAt !== undefined) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+};
@@ -0,0 +1,215 @@
+import express from 'express';
+import {
+    getApiKeys,
+    createApiKey,
+    getApiKeyById,
+    revokeApiKey
+} from '../../controllers/apiKeys/apiKeyController.js';
+import { protect, requirePermission, blockImpersonation } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Keys for server-to-server integrations, sent in the X-API-Key header
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "CRM sync"
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for identification
+ *           example: "mdk_Q2x9fP0a"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [contacts:read, contacts:update, contacts:delete, users:read]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists API keys without the keys themselves (requires api-keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKeys:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKey'
+ *                     availableScopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       Creates an API key limited to the given scopes (requires api-keys:manage). The key is
+ *       only returned in this response; store it securely.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "CRM sync"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["contacts:read"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry, must be in the future
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKey:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *                     key:
+ *                       type: string
+ *                       description: The API key, shown only once
+ *       400:
+ *         description: Missing name, invalid scopes or invalid expiry
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', protect, blockImpersonation, requirePermission('api-keys:manage'), getApiKeys);
+router.post('/', protect, blockImpersonation, requirePermission('api-keys:manage'), createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key
+ *     description: Get details and usage of an API key (requires api-keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key retrieved successfully
+ *       400:
+ *         description: Invalid API key ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: API key not found
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Revokes an API key, effective immediately (requires api-keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       400:
+ *         description: Invalid API key ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: API key not found or already revoked
+ */
+router.get('/:id', protect, blockImpersonation, requirePermission('api-keys:manage'), getApiKeyById);
+router.delete('/:id', protect, blockImpersonation, requirePermission('api-keys:manage'), revokeApiKey);
+
+export default router;
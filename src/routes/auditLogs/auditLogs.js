@@ -0,0 +1,113 @@
+import express from 'express';
+import { getAuditLogs } from '../../controllers/auditLogs/auditLogController.js';
+import { protect, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Logs
+ *   description: Record of sensitive actions such as impersonation
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: List audit log entries
+ *     description: >
+ *       Lists audit log entries, newest first (requires audit-logs:read). Impersonation is
+ *       logged as impersonation.start (with the reason) followed by one
+ *       impersonation.request entry per request made with the token.
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [impersonation.start, impersonation.request]
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who performed the action
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: ID of the user the action was performed on or as
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                           actor:
+ *                             type: object
+ *                           subject:
+ *                             type: object
+ *                           method:
+ *                             type: string
+ *                           path:
+ *                             type: string
+ *                           statusCode:
+ *                             type: integer
+ *                           ipAddress:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           metadata:
+ *                             type: object
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid actor or subject ID, or invalid from or to date
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', protect, requirePermission('audit-logs:read'), getAuditLogs);
+
+export default router;
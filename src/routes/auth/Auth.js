@@ -1,5 +1,15 @@
 import express from 'express';
-import { signup, login, refreshToken, logout, verifyEmail, resendVerificationEmail, resetPassword, verifyResetToken, forgotPassword } from '../../controllers/auth/authController.js';
+import { signup, login, refreshToken, logout, verifyEmail, resendVerificationEmail, resetPassword, verifyResetToken, forgotPassword, unlockAccount, changePassword, requestEmailChange, confirmEmailChange, requestMagicLink, verifyMagicLink, getPasswordRequirements, getCsrfToken } from '../../controllers/auth/authController.js';
+import { getMySessions, revokeMySession, revokeOtherSessions } from '../../controllers/auth/sessionController.js';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes, verifyTwoFactorLogin, getTwoFactorPolicy, updateTwoFactorPolicy } from '../../controllers/auth/twoFactorController.js';
+import { getOidcProviders, startOidcLogin, oidcCallback } from '../../controllers/auth/oidcController.js';
+import { getSigningKeys, rotateSigningKeysNow } from '../../controllers/auth/signingKeyController.js';
+import { getMyLoginHistory, reportLogin } from '../../controllers/auth/loginHistoryController.js';
+import { requestAccountDeletion, cancelDeletion } from '../../controllers/auth/accountDeletionController.js';
+import { verifyInvitation, acceptInvitation } from '../../controllers/invitations/invitationController.js';
+import { protect, requirePermission, authenticateWithChallenge, blockImpersonation } from '../../middleware/auth.js';
+import { csrfProtection } from '../../middleware/csrf.js';
+import { CHALLENGE_PURPOSES } from '../../utils/authTokens.js';
 
 const router = express.Router();
 
@@ -42,6 +52,73 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: User update timestamp
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The session ID
+ *         ipAddress:
+ *           type: string
+ *           description: IP address of the last request made with this session
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the last request made with this session
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the device logged in
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session last refreshed its tokens
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [login, refresh]
+ *         success:
+ *           type: boolean
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *           example: invalid_credentials
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         device:
+ *           type: object
+ *           properties:
+ *             browser:
+ *               type: string
+ *               example: Chrome
+ *             os:
+ *               type: string
+ *               example: Windows
+ *             type:
+ *               type: string
+ *               enum: [desktop, mobile, tablet, unknown]
+ *         newDevice:
+ *           type: boolean
+ *           description: First successful login from this device
+ *         reportedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the user reported the login as not theirs
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether the event belongs to the session making the request
  */
 
 /**
@@ -72,7 +149,8 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 format: password
- *                 minLength: 6
+ *                 minLength: 8
+ *                 description: Must meet the password policy, see /api/auth/password-policy
  *                 example: "securePassword123"
  *               confirmPassword:
  *                 type: string
@@ -144,12 +222,101 @@ const router = express.Router();
  */
 router.post('/signup', signup);
 
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     tags: [Auth]
+ *     description: >
+ *       Rules every new password must meet, so clients can show them up front. Passwords are
+ *       also checked against a bundled list of common and breached passwords. Requests with a
+ *       password that breaks a rule fail with 400 and list each broken rule in `errors`.
+ *     responses:
+ *       200:
+ *         description: Current password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       type: object
+ *                       properties:
+ *                         minLength:
+ *                           type: integer
+ *                           example: 8
+ *                         maxLength:
+ *                           type: integer
+ *                           example: 72
+ *                         requireUppercase:
+ *                           type: boolean
+ *                         requireLowercase:
+ *                           type: boolean
+ *                         requireNumber:
+ *                           type: boolean
+ *                         requireSymbol:
+ *                           type: boolean
+ *                         disallowPersonalInfo:
+ *                           type: boolean
+ *                           description: Password may not contain the email or name
+ *                         disallowCommon:
+ *                           type: boolean
+ *                           description: Password may not be on the common/breached list
+ */
+router.get('/password-policy', getPasswordRequirements);
+
+/**
+ * @swagger
+ * /api/auth/csrf-token:
+ *   get:
+ *     summary: Get a CSRF token
+ *     tags: [Auth]
+ *     description: >
+ *       Sets the `csrfToken` cookie and returns the same token. Routes authenticated by a
+ *       cookie (`/refresh-token`, `/logout`, and any request authenticated by the session
+ *       cookie other than GET) require it in the `X-CSRF-Token` header and reject requests
+ *       from origins outside the CORS allow-list. The token stays
+ *       the same while the cookie lasts, so it can be fetched once and reused.
+ *     responses:
+ *       200:
+ *         description: CSRF token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     csrfToken:
+ *                       type: string
+ */
+router.get('/csrf-token', getCsrfToken);
+
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login a user
  *     tags: [Auth]
+ *     description: >
+ *       Returns an access token and sets the refresh token cookie. When the account has
+ *       two-factor authentication enabled, returns `twoFactorRequired` and a short-lived
+ *       `challengeToken` for /api/auth/2fa/verify instead. When the user's role requires 2FA
+ *       and it isn't set up yet, returns `twoFactorSetupRequired` and a `challengeToken` for
+ *       /api/auth/2fa/setup and /api/auth/2fa/enable.
+ *
+ *       AUTH_MODE decides how the user stays signed in: `jwt` (default) returns the access
+ *       token and sets the refresh cookie, `session` sets a server-side session cookie instead
+ *       and returns a null access token, `both` does both. Every login method follows it.
  *     requestBody:
  *       required: true
  *       content:
@@ -187,8 +354,20 @@ router.post('/signup', signup);
  *                       $ref: '#/components/schemas/User'
  *                     accessToken:
  *                       type: string
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                     challengeToken:
+ *                       type: string
  *       400:
  *         description: Invalid email or password
+ *       403:
+ *         description: Password reset required, the account is suspended or banned, or it is scheduled for deletion
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, retry after the number of seconds in the Retry-After header
  *         content:
  *           application/json:
  *             schema:
@@ -220,6 +399,9 @@ router.post('/login', login);
  *   post:
  *     summary: Refresh JWT token
  *     tags: [Auth]
+ *     description: Rotates the refresh token cookie. Each refresh token can be used once; presenting a used token revokes every token issued from the same login. Requires the X-CSRF-Token header, see /api/auth/csrf-token.
+ *     security:
+ *       - csrfToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -250,8 +432,19 @@ router.post('/login', login);
  *                   properties:
  *                     accessToken:
  *                       type: string
- *       400:
- *         description: Invalid refresh token
+ *       401:
+ *         description: Missing, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       403:
+ *         description: Missing or mismatched CSRF token, an origin outside the CORS allow-list, or a suspended or banned account
  *         content:
  *           application/json:
  *             schema:
@@ -275,7 +468,7 @@ router.post('/login', login);
  *                 error:
  *                   type: string
  */
-router.post('/refresh-token', refreshToken);
+router.post('/refresh-token', csrfProtection, refreshToken);
 
 /**
  * @swagger
@@ -283,8 +476,9 @@ router.post('/refresh-token', refreshToken);
  *   post:
  *     summary: Log out user
  *     tags: [Auth]
+ *     description: Revokes the refresh token cookie and destroys the cookie session, if any. Requires the X-CSRF-Token header, see /api/auth/csrf-token.
  *     security:
- *       - bearerAuth: []
+ *       - csrfToken: []
  *     responses:
  *       200:
  *         description: Logout successful
@@ -297,6 +491,17 @@ router.post('/refresh-token', refreshToken);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       403:
+ *         description: Missing or mismatched CSRF token, or an origin outside the CORS allow-list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
  *       500:
  *         description: Server error
  *         content:
@@ -311,7 +516,7 @@ router.post('/refresh-token', refreshToken);
  *                 error:
  *                   type: string
  */
-router.post('/logout', logout);
+router.post('/logout', csrfProtection, logout);
 
 /**
  * @swagger
@@ -372,6 +577,46 @@ router.post('/logout', logout);
  */
 router.get('/verify-email', verifyEmail);
 
+/**
+ * @swagger
+ * /api/auth/unlock-account:
+ *   get:
+ *     summary: Unlock a locked account
+ *     tags: [Auth]
+ *     description: Clears a login lockout using the link sent in the account locked email
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unlock token from the email
+ *       - in: query
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: User email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid or expired unlock link
+ *       500:
+ *         description: Server error
+ */
+router.get('/unlock-account', unlockAccount);
+
 /**
  * @swagger
  * /api/auth/resend-verification-email:
@@ -500,6 +745,195 @@ router.post('/resend-verification-email', resendVerificationEmail);
  */
 router.post('/forgot-password', forgotPassword);
 
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Request a magic login link
+ *     tags: [Auth]
+ *     description: Emails a single-use login link that expires in 15 minutes
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "user@example.com"
+ *     responses:
+ *       200:
+ *         description: If account exists, login link sent (always returns 200 for security)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing email
+ *       500:
+ *         description: Server error
+ */
+router.post('/magic-link', requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/verify:
+ *   post:
+ *     summary: Log in with a magic link
+ *     tags: [Auth]
+ *     description: >
+ *       Exchanges the token from a magic link for an access token and refresh cookie. The
+ *       response has the same shape as /api/auth/login, including the two-factor challenge.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the login link
+ *     responses:
+ *       200:
+ *         description: Logged in successfully, or two-factor authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     accessToken:
+ *                       type: string
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                     challengeToken:
+ *                       type: string
+ *       400:
+ *         description: Invalid, used or expired login link
+ *       403:
+ *         description: Account suspended, banned or scheduled for deletion, or its password must be reset
+ *       423:
+ *         description: Account locked
+ *       500:
+ *         description: Server error
+ */
+router.post('/magic-link/verify', verifyMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/oidc/providers:
+ *   get:
+ *     summary: List social login providers
+ *     tags: [Auth]
+ *     description: Providers that are configured and can be used with /api/auth/oidc/{provider}
+ *     responses:
+ *       200:
+ *         description: Enabled providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: "google"
+ *                           name:
+ *                             type: string
+ *                             example: "Google"
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}:
+ *   get:
+ *     summary: Start a social login
+ *     tags: [Auth]
+ *     description: >
+ *       Redirects the browser to the provider's login page using the authorization code flow
+ *       with PKCE. Open this URL in the browser rather than calling it with fetch.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, microsoft, oidc]
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Provider not found or not configured
+ *       502:
+ *         description: Provider discovery failed
+ */
+router.get('/oidc/:provider', startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Social login callback
+ *     tags: [Auth]
+ *     description: >
+ *       Called by the provider after login. Links the provider account to an existing user with
+ *       the same verified email, or creates a new user. If that user never verified their email,
+ *       its password is removed and its sessions ended first, since anyone could have registered
+ *       it; the owner can set a new password with forgot password. Always redirects to
+ *       CLIENT_URL/oauth/callback. On success the refresh token cookie is set and the client
+ *       gets an access token from /api/auth/refresh-token. If two-factor authentication applies,
+ *       the redirect carries twoFactorRequired or twoFactorSetupRequired and a challengeToken.
+ *       On failure it carries an error code (access_denied, invalid_state, email_missing,
+ *       email_not_verified, account_locked, account_suspended, account_banned, deletion_pending,
+ *       password_reset_required, account_conflict, login_failed).
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the client app with the outcome
+ */
+router.get('/oidc/:provider/callback', oidcCallback);
+
 /**
  * @swagger
  * /api/auth/verify-reset-token:
@@ -577,7 +1011,8 @@ router.get('/verify-reset-token', verifyResetToken);
  *               newPassword:
  *                 type: string
  *                 format: password
- *                 minLength: 6
+ *                 minLength: 8
+ *                 description: Must meet the password policy, see /api/auth/password-policy
  *                 example: "NewSecurePassword123!"
  *               confirmPassword:
  *                 type: string
@@ -622,4 +1057,898 @@ router.get('/verify-reset-token', verifyResetToken);
  */
 router.post('/reset-password', resetPassword);
 
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   get:
+ *     summary: Check an invitation link
+ *     tags: [Auth]
+ *     description: Returns who the invitation is for, so the set-password form can show it
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invitation token from the email
+ *     responses:
+ *       200:
+ *         description: Invitation is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *       400:
+ *         description: Invalid, expired or revoked invitation
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Accept an invitation
+ *     tags: [Auth]
+ *     description: >
+ *       Creates the invited account with the chosen password. The email address is marked as
+ *       verified. The link can only be used once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The invitation token from the email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 description: Must meet the password policy, see /api/auth/password-policy
+ *                 example: "SecurePassword123!"
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: "SecurePassword123!"
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing fields, password mismatch or invalid invitation
+ *       409:
+ *         description: An account with this email already exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/accept-invite', verifyInvitation);
+router.post('/accept-invite', acceptInvitation);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     tags: [Auth]
+ *     description: Changes the password of the logged-in user and signs out all of their other devices, including their access tokens. The current device gets a new access token and refresh cookie.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 description: Must meet the password policy, see /api/auth/password-policy
+ *                 example: "NewSecurePassword123!"
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: "NewSecurePassword123!"
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                     accessToken:
+ *                       type: string
+ *                       description: Replaces the current access token; omitted when AUTH_MODE is session
+ *       400:
+ *         description: Missing fields, password mismatch or weak password
+ *       401:
+ *         description: Current password is incorrect
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', protect, blockImpersonation, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/change-email:
+ *   post:
+ *     summary: Request an email change
+ *     tags: [Auth]
+ *     description: Sends a confirmation link to the new address. The email only changes once the link is used.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *                 example: "new@example.com"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent
+ *       400:
+ *         description: Missing fields or invalid email
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Email already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-email', protect, blockImpersonation, requestEmailChange);
+
+/**
+ * @swagger
+ * /api/auth/confirm-email-change:
+ *   get:
+ *     summary: Confirm an email change
+ *     tags: [Auth]
+ *     description: Switches the account to the new address and sends a notice to the old one
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Confirmation token from the email
+ *     responses:
+ *       200:
+ *         description: Email address updated
+ *       400:
+ *         description: Invalid or expired confirmation link
+ *       409:
+ *         description: Email already exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/confirm-email-change', confirmEmailChange);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Auth]
+ *     description: Returns every device the current user is logged in on
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Log out all other devices
+ *     tags: [Auth]
+ *     description: Revokes every session of the current user except the one making the request
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedCount:
+ *                       type: integer
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions', protect, blockImpersonation, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Auth]
+ *     description: Logs out one of the current user's devices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         description: Invalid session ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', protect, blockImpersonation, revokeMySession);
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: List your login history
+ *     tags: [Auth]
+ *     description: >
+ *       Successful and failed logins and token refreshes of the current user, newest first.
+ *       Entries are kept for 90 days.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [login, refresh]
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Login history retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoginEvent'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/login-history', protect, getMyLoginHistory);
+
+/**
+ * @swagger
+ * /api/auth/secure-account:
+ *   post:
+ *     summary: Report a sign-in that wasn't you
+ *     tags: [Auth]
+ *     description: >
+ *       Used by the "This wasn't me" link in the new device email. Signs the user out of every
+ *       device and refuses password logins until the password is reset. Returns a password
+ *       reset token so the client can go straight to the reset form.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the new device email
+ *     responses:
+ *       200:
+ *         description: Account secured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                     resetToken:
+ *                       type: string
+ *                       description: Token for /api/auth/reset-password
+ *       400:
+ *         description: Invalid or expired link
+ *       500:
+ *         description: Server error
+ */
+router.post('/secure-account', reportLogin);
+
+/**
+ * @swagger
+ * /api/auth/delete-account:
+ *   post:
+ *     summary: Delete your account
+ *     tags: [Auth]
+ *     description: >
+ *       Deactivates the account straight away, signs it out everywhere and emails a link to
+ *       keep it. After the grace period (ACCOUNT_DELETION_GRACE_DAYS, 30 days by default) the
+ *       account, its profile, contact messages and login history are permanently deleted.
+ *       Logins are refused with 403 in the meantime. Confirm with the password, or with a
+ *       2FA code for accounts that have no password.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or recovery code, when not using the password
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Account deactivated and scheduled for deletion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *                     revokedSessions:
+ *                       type: integer
+ *       400:
+ *         description: Missing confirmation, or deletion already scheduled
+ *       401:
+ *         description: Invalid password or verification code
+ *       403:
+ *         description: Not allowed while impersonating
+ *       500:
+ *         description: Server error
+ */
+router.post('/delete-account', protect, blockImpersonation, requestAccountDeletion);
+
+/**
+ * @swagger
+ * /api/auth/cancel-account-deletion:
+ *   post:
+ *     summary: Keep an account scheduled for deletion
+ *     tags: [Auth]
+ *     description: Used by the link in the deletion email. Reactivates the account so the user can log in again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the deletion email
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: Invalid or expired link
+ *       500:
+ *         description: Server error
+ */
+router.post('/cancel-account-deletion', cancelDeletion);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     tags: [Auth]
+ *     description: >
+ *       Generates a TOTP secret and returns it with an otpauth URI and a QR code data URL.
+ *       Authenticate with a Bearer token, or with the `challengeToken` returned by login
+ *       when the user's role requires 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Setup challenge token from login, instead of a Bearer token
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: With a challenge token, the account is suspended, banned or scheduled for deletion, or its password must be reset
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/setup', authenticateWithChallenge(CHALLENGE_PURPOSES.TWO_FACTOR_SETUP), blockImpersonation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     tags: [Auth]
+ *     description: >
+ *       Verifies a code from the authenticator app, enables 2FA and returns one-time recovery
+ *       codes. When authenticated with a setup `challengeToken`, also completes the login.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     accessToken:
+ *                       type: string
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: With a challenge token, the account is suspended, banned or scheduled for deletion, or its password must be reset
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/enable', authenticateWithChallenge(CHALLENGE_PURPOSES.TWO_FACTOR_SETUP), blockImpersonation, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Auth]
+ *     description: Exchanges the login challenge token and a TOTP or recovery code for an access token and refresh cookie
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code or a recovery code
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     accessToken:
+ *                       type: string
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Invalid or expired challenge token, or invalid code
+ *       403:
+ *         description: Account suspended, banned or scheduled for deletion, or its password must be reset
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Missing fields or 2FA not enabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/disable', protect, blockImpersonation, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags: [Auth]
+ *     description: Replaces all recovery codes. Previous codes stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Two-factor authentication not enabled
+ *       401:
+ *         description: Invalid code
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/recovery-codes', protect, blockImpersonation, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor policy
+ *     tags: [Auth]
+ *     description: Lists the roles that must use two-factor authentication (requires security:manage)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requiredRoles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing security:manage permission
+ *   put:
+ *     summary: Update the two-factor policy
+ *     tags: [Auth]
+ *     description: Sets the roles that must use two-factor authentication (requires security:manage)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [user, admin]
+ *                 example: ["admin"]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid roles
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing security:manage permission
+ */
+router.get('/2fa/policy', protect, requirePermission('security:manage'), getTwoFactorPolicy);
+router.put('/2fa/policy', protect, blockImpersonation, requirePermission('security:manage'), updateTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /api/auth/signing-keys:
+ *   get:
+ *     summary: List access token signing keys
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Lists the asymmetric keys used to sign access tokens, without key material (requires
+ *       security:manage). Active keys sign new tokens; retired keys still verify tokens until
+ *       removeAt. Public keys are published at /.well-known/jwks.json.
+ *     responses:
+ *       200:
+ *         description: Signing keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     keys:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           kid:
+ *                             type: string
+ *                           algorithm:
+ *                             type: string
+ *                             enum: [RS256, EdDSA]
+ *                           status:
+ *                             type: string
+ *                             enum: [active, retired]
+ *                           rotateAt:
+ *                             type: string
+ *                             format: date-time
+ *                           retiredAt:
+ *                             type: string
+ *                             format: date-time
+ *                           removeAt:
+ *                             type: string
+ *                             format: date-time
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing security:manage permission
+ */
+router.get('/signing-keys', protect, requirePermission('security:manage'), getSigningKeys);
+
+/**
+ * @swagger
+ * /api/auth/signing-keys/rotate:
+ *   post:
+ *     summary: Rotate the access token signing key now
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Creates a new signing key and retires the current one (requires security:manage).
+ *       Keys also rotate automatically every JWT_KEY_ROTATION_DAYS days. Tokens signed with a
+ *       retired key stay valid for JWT_KEY_GRACE_DAYS, so nobody is logged out.
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     kid:
+ *                       type: string
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing security:manage permission
+ */
+router.post('/signing-keys/rotate', protect, blockImpersonation, requirePermission('security:manage'), rotateSigningKeysNow);
+
 export default router;
\ No newline at end of file
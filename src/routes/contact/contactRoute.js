@@ -9,7 +9,7 @@ import {
     validateAdminReply
 } from '../../controllers/contact/contactController.js';
 import { contactValidation } from '../../middleware/validation.js';
-import { protect, restrictTo } from '../../middleware/auth.js';
+import { authenticate, protect, requirePermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -98,22 +98,20 @@ router.post('/submit', contactValidation, submitContactForm);
  *     tags: [Contact]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *       - in: query
- *         name: page
+ *         name: sort
  *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of items per page
+ *           type: string
+ *           default: "-createdAt"
+ *         example: "status,-createdAt"
+ *         description: |
+ *           Up to 3 comma-separated fields, "-" for descending. Sortable fields: createdAt,
+ *           updatedAt, status, name, email.
  *       - in: query
  *         name: status
  *         schema:
@@ -136,20 +134,9 @@ router.post('/submit', contactValidation, submitContactForm);
  *                   items:
  *                     $ref: '#/components/schemas/Contact'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     total:
- *                       type: integer
- *                       example: 25
- *                     pages:
- *                       type: integer
- *                       example: 3
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Unknown sort field, invalid cursor or page too deep
  *       401:
  *         description: Unauthorized - Token missing or invalid
  *       403:
@@ -157,7 +144,7 @@ router.post('/submit', contactValidation, submitContactForm);
  *       500:
  *         description: Internal server error
  */
-router.get('/', protect, restrictTo('admin'), getContacts);
+router.get('/', authenticate, requirePermission('contacts:read'), getContacts);
 
 /**
  * @swagger
@@ -167,6 +154,7 @@ router.get('/', protect, restrictTo('admin'), getContacts);
  *     tags: [Contact]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -196,7 +184,7 @@ router.get('/', protect, restrictTo('admin'), getContacts);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', protect, restrictTo('admin'), getContact);
+router.get('/:id', authenticate, requirePermission('contacts:read'), getContact);
 
 /**
  * @swagger
@@ -206,6 +194,7 @@ router.get('/:id', protect, restrictTo('admin'), getContact);
  *     tags: [Contact]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -253,7 +242,7 @@ router.get('/:id', protect, restrictTo('admin'), getContact);
  *       500:
  *         description: Internal server error
  */
-router.put('/:id/status', protect, restrictTo('admin'), updateContactStatus);
+router.put('/:id/status', authenticate, requirePermission('contacts:update'), updateContactStatus);
 
 /**
  * @swagger
@@ -263,6 +252,7 @@ router.put('/:id/status', protect, restrictTo('admin'), updateContactStatus);
  *     tags: [Contact]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -293,7 +283,7 @@ router.put('/:id/status', protect, restrictTo('admin'), updateContactStatus);
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', protect, restrictTo('admin'), deleteContact);
+router.delete('/:id', authenticate, requirePermission('contacts:delete'), deleteContact);
 
 /**
  * @swagger
@@ -403,7 +393,7 @@ router.delete('/:id', protect, restrictTo('admin'), deleteContact);
  *                 error:
  *                   type: string
  */
-router.post('/:id/reply', protect, restrictTo('admin'), validateAdminReply, sendAdminReply);
+router.post('/:id/reply', protect, requirePermission('contacts:reply'), validateAdminReply, sendAdminReply);
 
 /**
  * @swagger
@@ -0,0 +1,224 @@
+import express from 'express';
+import {
+    getInvitations,
+    createInvitation,
+    resendInvitation,
+    revokeInvitation,
+    validateInvitation
+} from '../../controllers/invitations/invitationController.js';
+import { protect, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Invite people by email to set up their own account
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         fullName:
+ *           type: string
+ *         role:
+ *           type: string
+ *           description: Role the account is created with
+ *         invitedBy:
+ *           type: object
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastSentAt:
+ *           type: string
+ *           format: date-time
+ *         sendCount:
+ *           type: integer
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: Lists invitations, newest first (requires users:invite)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Invite a user
+ *     description: >
+ *       Emails an invitation link; the invitee chooses their own password and the account is
+ *       created already verified (requires users:invite, and users:assign-role for any role
+ *       other than user). Invitations expire after INVITATION_EXPIRY_DAYS (default 7).
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - fullName
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "jane@example.com"
+ *               fullName:
+ *                 type: string
+ *                 example: "Jane Doe"
+ *               role:
+ *                 type: string
+ *                 default: user
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: A user or pending invitation with this email already exists
+ *       500:
+ *         description: Invitation saved but the email could not be sent
+ */
+router.get('/', protect, requirePermission('users:invite'), getInvitations);
+router.post('/', protect, requirePermission('users:invite'), validateInvitation, createInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: >
+ *       Emails a new link and restarts the expiry period, also for expired invitations.
+ *       Earlier links stop working (requires users:invite).
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent successfully
+ *       400:
+ *         description: Invalid invitation ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Invitation not found, already accepted or revoked
+ *       409:
+ *         description: A user with this email already exists
+ */
+router.post('/:id/resend', protect, requirePermission('users:invite'), resendInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: Revokes an invitation; its link stops working immediately (requires users:invite)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       400:
+ *         description: Invalid invitation ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Invitation not found, already accepted or revoked
+ */
+router.delete('/:id', protect, requirePermission('users:invite'), revokeInvitation);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
-import { protect, restrictTo } from '../../middleware/auth.js';
-import { createProfile, updateProfile, getProfile, deleteProfile, validateProfileCreation, validateProfileUpdate } from '../../controllers/profile/profileController.js';
+import { protect, requirePermission } from '../../middleware/auth.js';
+import { createProfile, updateProfile, getProfiles, getProfile, deleteProfile, validateProfileCreation, validateProfileUpdate } from '../../controllers/profile/profileController.js';
 
 const router = express.Router();
 
@@ -102,6 +102,64 @@ const router = express.Router();
  */
 router.post('/', protect, validateProfileCreation, createProfile);
 
+/**
+ * @swagger
+ * /api/profile:
+ *   get:
+ *     summary: List profiles
+ *     description: Profiles with their owner's name and email (requires profiles:read)
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         example: "country,location"
+ *         description: |
+ *           Up to 3 comma-separated fields, "-" for descending. Sortable fields: createdAt,
+ *           updatedAt, country, location.
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Only profiles with this country
+ *     responses:
+ *       200:
+ *         description: Profiles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     profiles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Profile'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Unknown sort field, invalid cursor or page too deep
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, requirePermission('profiles:read'), getProfiles);
+
 /**
  * @swagger
  * /api/profile/{id}:
@@ -0,0 +1,267 @@
+import express from 'express';
+import {
+    getRoles,
+    getPermissions,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole
+} from '../../controllers/roles/roleController.js';
+import { protect, requirePermission, blockImpersonation } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles and the permissions they grant
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Unique role name, referenced by the user's role field
+ *           example: "sales"
+ *         description:
+ *           type: string
+ *           example: "Handles incoming contact requests"
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["contacts:read", "contacts:reply"]
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in role that cannot be deleted
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles
+ *     description: Lists all roles with the number of users holding each (requires roles:read)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Role'
+ *                           - type: object
+ *                             properties:
+ *                               userCount:
+ *                                 type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a role
+ *     description: Creates a custom role, e.g. a staff role (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "project-manager"
+ *               description:
+ *                 type: string
+ *                 example: "Manages client projects"
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["contacts:read", "contacts:update", "users:read"]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Missing name, invalid name or unknown permissions
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Role name already exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, requirePermission('roles:read'), getRoles);
+router.post('/', protect, blockImpersonation, requirePermission('roles:manage'), createRole);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List permissions
+ *     description: Lists every permission that can be granted to a role (requires roles:read)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             example: "contacts:reply"
+ *                           description:
+ *                             type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/permissions', protect, requirePermission('roles:read'), getPermissions);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a role
+ *     description: Get a role and the number of users holding it (requires roles:read)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *       400:
+ *         description: Invalid role ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Role not found
+ *   put:
+ *     summary: Update a role
+ *     description: >
+ *       Updates the description or permissions of a role (requires roles:manage). Role names
+ *       can't be changed, and the admin role always keeps every permission. Changes apply to
+ *       users holding the role on their next request.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid role ID, unknown permissions, rename attempt or admin role change
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a role
+ *     description: Deletes a custom role that no user holds (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Invalid role ID or system role
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.get('/:id', protect, requirePermission('roles:read'), getRoleById);
+router.put('/:id', protect, blockImpersonation, requirePermission('roles:manage'), updateRole);
+router.delete('/:id', protect, blockImpersonation, requirePermission('roles:manage'), deleteRole);
+
+export default router;
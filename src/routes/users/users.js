@@ -2,18 +2,33 @@ import express from 'express';
 import {
     createUser,
     getUsers,
+    exportUsers,
     getUserById,
     updateUser,
     deleteUser,
     updateUserStatus,
     bulkDeleteUsers,
+    bulkUpdateUsers,
+    getTrashedUsers,
+    restoreUser,
+    purgeTrashedUser,
     getUserStatistics,
     validateUserCreation,
     validateUserUpdate,
     validateUserRoleChange,
-    changeUserRole
+    changeUserRole,
+    unlockUser,
+    forceLogoutUser,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    impersonateUser
 } from '../../controllers/users/usersControllers.js';
-import { protect, restrictTo } from '../../middleware/auth.js';
+import { getUserSessions, revokeUserSession, revokeAllUserSessions } from '../../controllers/auth/sessionController.js';
+import { getUserLoginHistory } from '../../controllers/auth/loginHistoryController.js';
+import { importUsers } from '../../controllers/users/userImportController.js';
+import { csvUpload } from '../../middleware/upload.js';
+import { authenticate, protect, requirePermission, blockImpersonation } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -36,9 +51,8 @@ const router = express.Router();
  *           description: Email address (unique)
  *         role:
  *           type: string
- *           enum: [student, admin, instructor]
- *           description: User role
- *           default: student
+ *           description: Name of the user's role, see /api/roles
+ *           default: user
  *         isEmailVerified:
  *           type: boolean
  *           description: Email verification status
@@ -51,23 +65,62 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: Last update date
- *         emailVerificationToken:
- *           type: string
- *           description: Email verification token (admin view only)
- *         emailVerificationExpires:
- *           type: string
- *           format: date-time
- *           description: Email verification expiry (admin view only)
- *         passwordResetToken:
- *           type: string
- *           description: Password reset token (admin view only)
- *         passwordResetExpires:
- *           type: string
- *           format: date-time
- *           description: Password reset expiry (admin view only)
  *         hasPassword:
  *           type: boolean
  *           description: Indicates if user has password (admin view only)
+ *
+ *     Pagination:
+ *       type: object
+ *       description: Page metadata returned by every list endpoint
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           example: 20
+ *         sort:
+ *           type: string
+ *           description: Sort applied, fields separated by commas, descending ones prefixed with "-"
+ *           example: "-createdAt"
+ *         total:
+ *           type: integer
+ *           description: Items matching the filters
+ *         totalPages:
+ *           type: integer
+ *         page:
+ *           type: integer
+ *           nullable: true
+ *           description: Page number; null when the page was fetched with a cursor
+ *         hasNext:
+ *           type: boolean
+ *         hasPrev:
+ *           type: boolean
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as the cursor parameter to fetch the next page; null on the last page
+ *
+ *   parameters:
+ *     PageParam:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *       description: Page number, for the first 10,000 items; use cursor beyond that
+ *     LimitParam:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *       description: Items per page; larger values are capped at 100
+ *     CursorParam:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: nextCursor from the previous page. Takes precedence over page and must be used with the same sort.
  * 
  *   responses:
  *     UnauthorizedError:
@@ -96,7 +149,7 @@ const router = express.Router();
  *                 example: false
  *               message:
  *                 type: string
- *                 example: "Access denied. Admin role required."
+ *                 example: "You do not have permission to perform this action"
  * 
  *     ValidationError:
  *       description: Request validation failed
@@ -122,7 +175,9 @@ const router = express.Router();
  * /api/users:
  *   post:
  *     summary: Create a new user
- *     description: Create a new user account (Admin only)
+ *     description: >
+ *       Create a new user account with a password chosen by the admin (requires users:create).
+ *       To let the user choose their own password, send an invitation through /api/invitations.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -148,33 +203,31 @@ const router = express.Router();
  *                 description: Email address
  *               password:
  *                 type: string
- *                 minLength: 5
- *                 description: Password (minimum 5 characters)
+ *                 minLength: 8
+ *                 description: Password, must meet the password policy (see /api/auth/password-policy)
  *               role:
  *                 type: string
- *                 enum: [student, admin, instructor]
- *                 default: student
- *                 description: User role
+ *                 default: user
+ *                 description: Name of an existing role, see /api/roles
  *               isEmailVerified:
  *                 type: boolean
  *                 default: false
  *                 description: Email verification status
  *           examples:
- *             student:
- *               summary: Create student user
+ *             user:
+ *               summary: Create a regular user
  *               value:
  *                 fullName: "John Doe"
  *                 email: "john@example.com"
  *                 password: "securepassword123"
- *                 role: "student"
  *                 isEmailVerified: false
- *             instructor:
- *               summary: Create instructor user
+ *             admin:
+ *               summary: Create an admin
  *               value:
  *                 fullName: "Jane Smith"
  *                 email: "jane@example.com"
- *                 password: "instructorpass456"
- *                 role: "instructor"
+ *                 password: "adminpass456"
+ *                 role: "admin"
  *                 isEmailVerified: true
  *     responses:
  *       201:
@@ -204,36 +257,152 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.post('/', protect, restrictTo('admin'), validateUserCreation, createUser);
+router.post('/', protect, requirePermission('users:create'), validateUserCreation, createUser);
+
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Import users from CSV
+ *     description: |
+ *       Create accounts, or send invitations, from a CSV file (requires users:create).
+ *       The first row is the header; columns are fullName, email, password, role and
+ *       isEmailVerified. Each row is checked with the same rules as POST /api/users and
+ *       against existing accounts and the other rows, and the response reports the
+ *       outcome of every row. Valid rows are imported even if others fail.
+ *
+ *       Rows with a role other than "user" require users:assign-role. Invitation mode
+ *       requires users:invite and ignores the password column.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file of at most 1 MB and 500 users
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Validate the file and report the result without creating anything
+ *               sendEmails:
+ *                 type: string
+ *                 enum: [none, verification, invitation]
+ *                 default: none
+ *                 description: |
+ *                   none: create the accounts only.
+ *                   verification: create the accounts and email a verification link to unverified users.
+ *                   invitation: send invitations instead; invitees choose their own password.
+ *           encoding:
+ *             file:
+ *               contentType: text/csv
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *       201:
+ *         description: At least one row was imported; see the report for failed rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: False when any row failed
+ *                 message:
+ *                   type: string
+ *                   example: Imported 2 of 3 rows
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     sendEmails:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         succeeded:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             description: Line in the file, counting the header as row 1
+ *                           email:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [valid, created, invited, failed]
+ *                           userId:
+ *                             type: string
+ *                           invitationId:
+ *                             type: string
+ *                           emailSent:
+ *                             type: boolean
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 message:
+ *                                   type: string
+ *       400:
+ *         description: Missing or unreadable file, unknown columns, too many rows, or no row could be imported
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', protect, blockImpersonation, requirePermission('users:create'), csvUpload, importUsers);
 
 /**
  * @swagger
  * /api/users:
  *   get:
  *     summary: Get all users
- *     description: Retrieve all users with filtering and pagination (Admin only)
+ *     description: Retrieve all users with filtering and pagination (requires users:read)
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
+ *         name: sort
  *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of users per page
+ *           type: string
+ *           default: "-createdAt"
+ *         example: "role,-createdAt"
+ *         description: |
+ *           Up to 3 comma-separated fields, "-" for descending. Sortable fields: createdAt,
+ *           updatedAt, fullName, email, role, isEmailVerified.
  *       - in: query
  *         name: role
  *         schema:
  *           type: string
- *           enum: [student, admin, instructor]
- *         description: Filter by user role
+ *         description: Filter by role name
  *       - in: query
  *         name: isEmailVerified
  *         schema:
@@ -246,17 +415,18 @@ router.post('/', protect, restrictTo('admin'), validateUserCreation, createUser)
  *         description: Search by name or email
  *       - in: query
  *         name: sortBy
+ *         deprecated: true
  *         schema:
  *           type: string
- *           default: createdAt
- *         description: Field to sort by
+ *         description: Single field to sort by; use sort instead
  *       - in: query
  *         name: sortOrder
+ *         deprecated: true
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
- *         description: Sort order
+ *         description: Sort order for sortBy
  *     responses:
  *       200:
  *         description: Users retrieved successfully
@@ -282,27 +452,18 @@ router.post('/', protect, restrictTo('admin'), validateUserCreation, createUser)
  *                           type: integer
  *                         verifiedUsers:
  *                           type: integer
- *                         students:
- *                           type: integer
- *                         instructors:
- *                           type: integer
- *                         admins:
- *                           type: integer
+ *                         roles:
+ *                           type: object
+ *                           description: Users per role, for every existing role
+ *                           additionalProperties:
+ *                             type: integer
+ *                           example:
+ *                             admin: 2
+ *                             user: 140
  *                     pagination:
- *                       type: object
- *                       properties:
- *                         currentPage:
- *                           type: integer
- *                         totalPages:
- *                           type: integer
- *                         totalUsers:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         hasNext:
- *                           type: boolean
- *                         hasPrev:
- *                           type: boolean
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Unknown sort field, invalid cursor or page too deep
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
@@ -310,17 +471,18 @@ router.post('/', protect, restrictTo('admin'), validateUserCreation, createUser)
  *       500:
  *         description: Server error
  */
-router.get('/', protect, restrictTo('admin'), getUsers);
+router.get('/', authenticate, requirePermission('users:read'), getUsers);
 
 /**
  * @swagger
  * /api/users/statistics:
  *   get:
  *     summary: Get user statistics
- *     description: Get comprehensive user statistics and analytics (Admin only)
+ *     description: Get comprehensive user statistics and analytics, including counts per role (requires users:read)
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -344,12 +506,14 @@ router.get('/', protect, restrictTo('admin'), getUsers);
  *                           type: integer
  *                         unverifiedUsers:
  *                           type: integer
- *                         students:
- *                           type: integer
- *                         instructors:
- *                           type: integer
- *                         admins:
- *                           type: integer
+ *                     roles:
+ *                       type: object
+ *                       description: Users per role, for every existing role
+ *                       additionalProperties:
+ *                         type: integer
+ *                       example:
+ *                         admin: 2
+ *                         user: 140
  *                     registrationTrends:
  *                       type: array
  *                       items:
@@ -376,14 +540,115 @@ router.get('/', protect, restrictTo('admin'), getUsers);
  *       500:
  *         description: Server error
  */
-router.get('/statistics', protect, restrictTo('admin'), getUserStatistics);
+router.get('/statistics', authenticate, requirePermission('users:read'), getUserStatistics);
+
+/**
+ * @swagger
+ * /api/users/export:
+ *   get:
+ *     summary: Export users
+ *     description: |
+ *       Download the user directory as CSV, JSON or NDJSON (requires users:read).
+ *       Takes the same filters as GET /api/users and streams the results, so large
+ *       exports are not loaded into memory. Profile columns (location, country,
+ *       phoneNumber) are joined from each user's profile. Every export, including ones
+ *       the client aborts, is written to the audit log with the user or API key that ran it.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         example: fullName,email,role,country
+ *         description: |
+ *           Comma-separated columns, in order. Available: id, fullName, email, role,
+ *           isEmailVerified, accountStatus, twoFactorEnabled, createdAt, updatedAt,
+ *           location, country, phoneNumber. Defaults to every user column.
+ *       - in: query
+ *         name: includeProfile
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add the profile columns to the default columns (ignored when columns is set)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by user role
+ *       - in: query
+ *         name: isEmailVerified
+ *         schema:
+ *           type: boolean
+ *         description: Filter by email verification status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or email
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         description: Same as for GET /api/users
+ *     responses:
+ *       200:
+ *         description: Export file, sent as an attachment named users-YYYY-MM-DD.<format>
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *             example: "fullName,email,role\r\nJane Doe,jane@example.com,user\r\n"
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format or column
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: "Unknown columns: password"
+ *                 availableColumns:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', authenticate, requirePermission('users:read'), exportUsers);
 
 /**
  * @swagger
  * /api/users/bulk-delete:
  *   delete:
  *     summary: Bulk delete users
- *     description: Delete multiple users at once (Admin only)
+ *     description: Move multiple users and their profiles to the trash at once (requires users:delete)
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -444,27 +709,164 @@ router.get('/statistics', protect, restrictTo('admin'), getUserStatistics);
  *       500:
  *         description: Server error
  */
-router.delete('/bulk-delete', protect, restrictTo('admin'), bulkDeleteUsers);
+router.delete('/bulk-delete', protect, blockImpersonation, requirePermission('users:delete'), bulkDeleteUsers);
 
 /**
  * @swagger
- * /api/users/{id}:
+ * /api/users/bulk:
+ *   post:
+ *     summary: Bulk user action
+ *     description: |
+ *       Apply one action to a list of users, or to every user matching a filter (at most 500).
+ *       Each action requires the permission of its single-user endpoint and keeps its
+ *       safeguards, e.g. you cannot change your own role or delete yourself.
+ *
+ *       - change-role (users:assign-role): params.role
+ *       - mark-verified (users:update)
+ *       - resend-verification (users:update)
+ *       - suspend (users:suspend): params.reason and params.until; banned users are skipped
+ *       - delete (users:delete): moves users to the trash
+ *
+ *       The response has a result for every user; one failing does not stop the others.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [change-role, mark-verified, resend-verification, suspend, delete]
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Users to act on; either this or filter
+ *               filter:
+ *                 type: object
+ *                 description: Same filters as GET /api/users; at least one is required
+ *                 properties:
+ *                   role:
+ *                     type: string
+ *                   isEmailVerified:
+ *                     type: boolean
+ *                   search:
+ *                     type: string
+ *               params:
+ *                 type: object
+ *                 properties:
+ *                   role:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *                   until:
+ *                     type: string
+ *                     format: date-time
+ *           examples:
+ *             changeRole:
+ *               value:
+ *                 action: change-role
+ *                 userIds: ["64f8b4a8d1234567890abcde", "64f8b4a8d1234567890abcdf"]
+ *                 params:
+ *                   role: admin
+ *             suspendUnverified:
+ *               value:
+ *                 action: suspend
+ *                 filter:
+ *                   isEmailVerified: false
+ *                 params:
+ *                   reason: Unverified accounts under review
+ *                   until: "2030-01-01T00:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Action applied; see the results for each user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: False when the action failed for any user
+ *                 message:
+ *                   type: string
+ *                   example: "change-role: 1 succeeded, 0 skipped, 1 failed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         succeeded:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [succeeded, skipped, failed]
+ *                           message:
+ *                             type: string
+ *       400:
+ *         description: Unknown action, invalid params, or missing or too broad target
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Server error
+ */
+router.post('/bulk', protect, blockImpersonation, bulkUpdateUsers);
+
+/**
+ * @swagger
+ * /api/users/trash:
  *   get:
- *     summary: Get user by ID
- *     description: Retrieve a specific user with all fields including sensitive data (Admin only)
+ *     summary: List deleted users
+ *     description: Users deleted by an admin that can still be restored, newest first, with the date each will be permanently deleted (requires users:delete)
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
  *         schema:
  *           type: string
- *         description: User ID
+ *           default: "-deletedAt"
+ *         description: |
+ *           Up to 3 comma-separated fields, "-" for descending. Sortable fields: deletedAt,
+ *           createdAt, updatedAt, fullName, email, role, isEmailVerified.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or email
  *     responses:
  *       200:
- *         description: User retrieved successfully
+ *         description: Deleted users
  *         content:
  *           application/json:
  *             schema:
@@ -472,31 +874,50 @@ router.delete('/bulk-delete', protect, restrictTo('admin'), bulkDeleteUsers);
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: true
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/User'
+ *                           - type: object
+ *                             properties:
+ *                               deletedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               deletedBy:
+ *                                 type: object
+ *                                 properties:
+ *                                   _id:
+ *                                     type: string
+ *                                   fullName:
+ *                                     type: string
+ *                                   email:
+ *                                     type: string
+ *                               purgeAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Invalid user ID
+ *         description: Unknown sort field, invalid cursor or page too deep
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
- *       404:
- *         description: User not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', protect, restrictTo('admin'), getUserById);
+router.get('/trash', protect, requirePermission('users:delete'), getTrashedUsers);
 
 /**
  * @swagger
- * /api/users/{id}:
- *   patch:
- *     summary: Update user
- *     description: Update user information (Admin or self-update)
+ * /api/users/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a user from the trash
+ *     description: Delete a trashed user with their profile, contact messages, sessions and login history straight away, keeping a tombstone record (requires users:delete)
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -507,11 +928,89 @@ router.get('/:id', protect, restrictTo('admin'), getUserById);
  *         schema:
  *           type: string
  *         description: User ID
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
+ *     responses:
+ *       200:
+ *         description: User permanently deleted
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found in trash
+ *       500:
+ *         description: Server error
+ */
+router.delete('/trash/:id', protect, requirePermission('users:delete'), purgeTrashedUser);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     description: Retrieve a specific user with all fields including sensitive data (requires users:read)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticate, requirePermission('users:read'), getUserById);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     summary: Update user
+ *     description: Update user information (Admin or self-update)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
  *               fullName:
  *                 type: string
@@ -524,15 +1023,14 @@ router.get('/:id', protect, restrictTo('admin'), getUserById);
  *                 description: Email address
  *               password:
  *                 type: string
- *                 minLength: 5
- *                 description: New password (minimum 5 characters)
+ *                 minLength: 8
+ *                 description: New password, must meet the password policy (see /api/auth/password-policy)
  *               role:
  *                 type: string
- *                 enum: [student, admin, instructor]
- *                 description: User role (Admin only)
+ *                 description: Name of an existing role (requires users:assign-role)
  *               isEmailVerified:
  *                 type: boolean
- *                 description: Email verification status (Admin only)
+ *                 description: Email verification status (requires users:update)
  *           examples:
  *             self_update:
  *               summary: Self profile update
@@ -545,7 +1043,7 @@ router.get('/:id', protect, restrictTo('admin'), getUserById);
  *               value:
  *                 fullName: "Jane Doe"
  *                 email: "jane.doe@example.com"
- *                 role: "instructor"
+ *                 role: "admin"
  *                 isEmailVerified: true
  *     responses:
  *       200:
@@ -584,7 +1082,7 @@ router.patch('/:id', protect, validateUserUpdate, updateUser);
  * /api/users/{id}:
  *   delete:
  *     summary: Delete user
- *     description: Delete a specific user (Admin only, cannot delete self)
+ *     description: Move a user and their profile to the trash and sign them out everywhere. Trashed users can't log in and are hidden from listings; they can be restored until USER_TRASH_RETENTION_DAYS (30 by default) pass, then they are permanently deleted (requires users:delete, cannot delete self). Users delete their own account through /api/auth/delete-account.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -597,7 +1095,7 @@ router.patch('/:id', protect, validateUserUpdate, updateUser);
  *         description: User ID
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -608,7 +1106,7 @@ router.patch('/:id', protect, validateUserUpdate, updateUser);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "User deleted successfully"
+ *                   example: "User moved to trash"
  *                 data:
  *                   type: object
  *                   properties:
@@ -623,6 +1121,15 @@ router.patch('/:id', protect, validateUserUpdate, updateUser);
  *                           type: string
  *                         role:
  *                           type: string
+ *                     deletedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     purgeAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the retention job permanently deletes the user
+ *                     revokedSessions:
+ *                       type: integer
  *       400:
  *         description: Invalid user ID or trying to delete own account
  *       401:
@@ -634,14 +1141,60 @@ router.patch('/:id', protect, validateUserUpdate, updateUser);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', protect, restrictTo('admin'), deleteUser);
+router.delete('/:id', protect, requirePermission('users:delete'), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     description: Bring a user and their profile back from the trash. They log in again with their old credentials; a role deleted in the meantime falls back to user (requires users:delete)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found in trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', protect, requirePermission('users:delete'), restoreUser);
 
 /**
  * @swagger
  * /api/users/{id}/status:
  *   patch:
  *     summary: Update user status
- *     description: Update user email verification status (Admin only)
+ *     description: Update user email verification status (requires users:update). To block an account see /api/users/{id}/suspend and /api/users/{id}/ban.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -704,14 +1257,18 @@ router.delete('/:id', protect, restrictTo('admin'), deleteUser);
  *       500:
  *         description: Server error
  */
-router.patch('/:id/status', protect, restrictTo('admin'), updateUserStatus);
+router.patch('/:id/status', protect, requirePermission('users:update'), updateUserStatus);
 
 /**
  * @swagger
- * /api/users/{id}/role:
- *   patch:
- *     summary: Change a user's role
- *     tags: [Users]
+ * /api/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: >
+ *       Block a user from signing in until a date, signing them out everywhere. Existing tokens,
+ *       logins and refreshes are refused with 403 until the date passes or the user is reinstated.
+ *       The user is notified by email (requires users:suspend, cannot suspend self).
+ *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -720,7 +1277,7 @@ router.patch('/:id/status', protect, restrictTo('admin'), updateUserStatus);
  *         required: true
  *         schema:
  *           type: string
- *         description: The user ID
+ *         description: User ID
  *     requestBody:
  *       required: true
  *       content:
@@ -728,16 +1285,20 @@ router.patch('/:id/status', protect, restrictTo('admin'), updateUserStatus);
  *           schema:
  *             type: object
  *             required:
- *               - role
+ *               - reason
+ *               - until
  *             properties:
- *               role:
+ *               reason:
  *                 type: string
- *                 enum: ['user', 'admin']
- *                 description: The new role for the user
- *                 example: admin
+ *                 description: Shown to the user in the email
+ *                 example: "Repeated spam in contact messages"
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-12-01T00:00:00Z"
  *     responses:
  *       200:
- *         description: User role changed successfully
+ *         description: User suspended
  *         content:
  *           application/json:
  *             schema:
@@ -745,30 +1306,82 @@ router.patch('/:id/status', protect, restrictTo('admin'), updateUserStatus);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                     userId:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     accountStatus:
+ *                       type: object
+ *                       properties:
+ *                         state:
+ *                           type: string
+ *                           enum: [active, suspended, banned]
+ *                         reason:
+ *                           type: string
+ *                         until:
+ *                           type: string
+ *                           format: date-time
+ *                         changedBy:
+ *                           type: string
+ *                         changedAt:
+ *                           type: string
+ *                           format: date-time
+ *                     revokedSessions:
+ *                       type: integer
  *       400:
- *         description: Invalid user ID, role, or attempt to change own role
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
+ *         description: Invalid user ID, missing reason, end date not in the future, or own account
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         description: User not found
+ *       409:
+ *         description: User is banned; reinstate them before suspending
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/suspend', protect, requirePermission('users:suspend'), suspendUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/ban:
+ *   post:
+ *     summary: Ban a user
+ *     description: Block a user from signing in until they are reinstated, signing them out everywhere. The user is notified by email (requires users:suspend, cannot ban self).
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the user in the email
+ *     responses:
+ *       200:
+ *         description: User banned
  *         content:
  *           application/json:
  *             schema:
@@ -776,10 +1389,77 @@ router.patch('/:id/status', protect, restrictTo('admin'), updateUserStatus);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     accountStatus:
+ *                       type: object
+ *                       properties:
+ *                         state:
+ *                           type: string
+ *                           enum: [active, suspended, banned]
+ *                         reason:
+ *                           type: string
+ *                         until:
+ *                           type: string
+ *                           format: date-time
+ *                         changedBy:
+ *                           type: string
+ *                         changedAt:
+ *                           type: string
+ *                           format: date-time
+ *                     revokedSessions:
+ *                       type: integer
+ *       400:
+ *         description: Invalid user ID, missing reason, or own account
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
  *       500:
  *         description: Server error
+ */
+router.post('/:id/ban', protect, requirePermission('users:suspend'), banUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/reinstate:
+ *   post:
+ *     summary: Reinstate a user
+ *     description: Lift a suspension or ban so the user can sign in again. The user is notified by email (requires users:suspend).
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User reinstated
  *         content:
  *           application/json:
  *             schema:
@@ -787,12 +1467,506 @@ router.patch('/:id/status', protect, restrictTo('admin'), updateUserStatus);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
- *                 error:
- *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     accountStatus:
+ *                       type: object
+ *                       properties:
+ *                         state:
+ *                           type: string
+ *                           enum: [active, suspended, banned]
+ *                         reason:
+ *                           type: string
+ *                         until:
+ *                           type: string
+ *                           format: date-time
+ *                         changedBy:
+ *                           type: string
+ *                         changedAt:
+ *                           type: string
+ *                           format: date-time
+ *                     revokedSessions:
+ *                       type: integer
+ *       400:
+ *         description: Invalid user ID, or the user is not suspended or banned
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reinstate', protect, requirePermission('users:suspend'), reinstateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role, see /api/roles
+ *                 example: admin
+ *     responses:
+ *       200:
+ *         description: User role changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID, role, or attempt to change own role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ */
+router.patch('/:id/role', protect, requirePermission('users:assign-role'), validateUserRoleChange, changeUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock a user account
+ *     description: Clear a login lockout and the failed attempt counter (requires users:manage-security)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User account unlocked"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     wasLocked:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/unlock', protect, requirePermission('users:manage-security'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/force-logout:
+ *   post:
+ *     summary: Force logout a user
+ *     description: Invalidate every access and refresh token issued to a user, effective immediately (requires users:manage-security)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     revokedSessions:
+ *                       type: integer
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/force-logout', protect, requirePermission('users:manage-security'), forceLogoutUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: Impersonate a user
+ *     description: >
+ *       Issues a 15 minute access token for acting as the user, to see exactly what they see
+ *       (requires users:impersonate). The token carries both the user and the impersonating
+ *       admin, has no refresh token, and every request made with it is written to the audit
+ *       log. Changing the password or email, managing sessions, changing 2FA settings, managing
+ *       roles and API keys, and bulk user actions are refused while impersonating. Users who can
+ *       impersonate others, or whose role grants a permission the admin lacks, can't be
+ *       impersonated, and the token never carries more than the admin's own permissions.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is being accessed, stored in the audit log
+ *                 example: "Support ticket #1234 - customer cannot see their profile"
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: integer
+ *                       example: 900
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     impersonator:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         fullName:
+ *                           type: string
+ *                         email:
+ *                           type: string
+ *       400:
+ *         description: Invalid user ID, missing reason or attempt to impersonate yourself
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission, target can't be impersonated, or already impersonating
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/impersonate', protect, blockImpersonation, requirePermission('users:impersonate'), impersonateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's sessions
+ *     description: Retrieve the devices a user is currently logged in on (requires users:manage-security)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Log a user out everywhere
+ *     description: Revoke every session of a user (requires users:manage-security)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/sessions', protect, requirePermission('users:manage-security'), getUserSessions);
+router.delete('/:id/sessions', protect, requirePermission('users:manage-security'), revokeAllUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions
+ *     description: Log a user out of a single device (requires users:manage-security)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       400:
+ *         description: Invalid user or session ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/sessions/:sessionId', protect, requirePermission('users:manage-security'), revokeUserSession);
+
+/**
+ * @swagger
+ * /api/users/{id}/login-history:
+ *   get:
+ *     summary: Get a user's login history
+ *     description: Successful and failed logins and token refreshes of a user, newest first (requires users:manage-security)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [login, refresh]
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoginEvent'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
  */
-router.patch('/:id/role', protect, restrictTo('admin'), validateUserRoleChange, changeUserRole);
+router.get('/:id/login-history', protect, requirePermission('users:manage-security'), getUserLoginHistory);
 
 
 export default router;
\ No newline at end of file
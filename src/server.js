@@ -17,7 +17,8 @@ console.log('Loaded ENV:', {
     CORS_ORIGINS: process.env.CORS_ORIGINS,
     NODE_ENV: process.env.NODE_ENV,
     COOKIE_SECURE: process.env.COOKIE_SECURE,
-    RATE_LIMIT_MAX: process.env.RATE_LIMIT_MAX
+    RATE_LIMIT_MAX: process.env.RATE_LIMIT_MAX,
+    AUTH_MODE: process.env.AUTH_MODE
 });
 
 import { fileURLToPath } from 'url';
@@ -28,6 +29,7 @@ import cookieParser from 'cookie-parser';
 import session from 'express-session';
 import MongoStore from 'connect-mongo';
 import connectDB from '../config/db.js';
+import { getAllowedOrigins, isAllowedOrigin } from '../config/cors.js';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import mongoSanitize from 'express-mongo-sanitize';
@@ -41,6 +43,15 @@ import authRoutes from './routes/auth/Auth.js';
 import userRoutes from './routes/users/users.js';
 import contactRoutes from './routes/contact/contactRoute.js';
 import profileRoutes from './routes/profile/profile.js';
+import roleRoutes from './routes/roles/roles.js';
+import apiKeyRoutes from './routes/apiKeys/apiKeys.js';
+import auditLogRoutes from './routes/auditLogs/auditLogs.js';
+import invitationRoutes from './routes/invitations/invitations.js';
+import Role from './models/Role.js';
+import { startKeyRotation } from './utils/keyManager.js';
+import { startAccountPurge } from './utils/accountDeletion.js';
+import { getAuthMode } from './utils/cookieSessions.js';
+import { getJwksDocument } from './controllers/auth/signingKeyController.js';
 
 import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from '../config/swagger.js';
@@ -79,6 +90,15 @@ app.set('trust proxy', 1); // Needed for secure cookies in production
 // ===== Database Connection =====
 connectDB();
 
+// Make sure the built-in roles and a token signing key exist once connected
+mongoose.connection.once('open', () => {
+    Role.seedDefaults().catch(err => {
+        console.error('Failed to seed default roles:', err.message);
+    });
+    startKeyRotation();
+    startAccountPurge();
+});
+
 // ===== MongoDB Connection Health Check =====
 setInterval(() => {
     const state = mongoose.connection.readyState;
@@ -150,18 +170,8 @@ const limiter = rateLimit({
 app.use('/api', limiter);
 
 // ===== CORS Configuration =====
-// Clean up the CORS_ORIGINS environment variable
-const cleanOrigins = (process.env.CORS_ORIGINS || '')
-    .split(',')
-    .map(origin => origin.trim())
-    .filter(origin => origin.length > 0);
-
-const allowedOrigins = cleanOrigins.length > 0 ? cleanOrigins : [
-    'https://modern-design-zeta.vercel.app',
-    'http://localhost:3000',
-    'http://localhost:5000',
-    'https://shielderabackend.onrender.com'
-];
+// Shared with the CSRF origin check, see config/cors.js
+const allowedOrigins = getAllowedOrigins();
 
 console.log('Cleaned allowed origins:', allowedOrigins);
 
@@ -171,9 +181,7 @@ const corsOptions = {
         if (!origin) return callback(null, true);
 
         // Check if the origin is in the allowed list
-        if (allowedOrigins.includes(origin) ||
-            // Allow the Render domain itself for internal requests
-            origin === 'https://shielderabackend.onrender.com') {
+        if (isAllowedOrigin(origin)) {
             return callback(null, true);
         }
 
@@ -190,7 +198,7 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-CSRF-Token'],
     exposedHeaders: ['set-cookie'],
     optionsSuccessStatus: 200,
     maxAge: 600
@@ -234,11 +242,18 @@ app.get('/health', (req, res) => res.json({
     uptime: process.uptime()
 }));
 
+// Public keys for verifying our access tokens
+app.get('/.well-known/jwks.json', getJwksDocument);
+
 // Protected API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 // ===== Swagger Docs =====
 // More permissive CORS for Swagger
@@ -291,6 +306,7 @@ const startServer = async () => {
         console.log(`🔒 Secure Cookies: ${process.env.NODE_ENV === 'production'}`);
         console.log(`🍪 Cookie Domain: ${cookieDomain}`);
         console.log(`🛡️ Session Store: MongoDB`);
+        console.log(`🔑 Auth Mode: ${getAuthMode()}`);
 
         if (process.env.NODE_ENV !== 'production') {
             console.log(`📄 API Docs: http://localhost:${PORT}/api-docs`);
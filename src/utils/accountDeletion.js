@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Profile from '../models/Profile.js';
+import Contact from '../models/Contact.js';
+import UserSession from '../models/UserSession.js';
+import RefreshToken from '../models/RefreshToken.js';
+import LoginEvent from '../models/LoginEvent.js';
+import OneTimeToken from '../models/OneTimeToken.js';
+import DeletedAccount from '../models/DeletedAccount.js';
+import { invalidateUserTokens } from './authTokens.js';
+import { TOKEN_PURPOSES, createOneTimeToken, consumeOneTimeToken } from './oneTimeTokens.js';
+import { AUDIT_ACTIONS, recordAuditEvent } from './auditLog.js';
+import { sendAccountDeletedEmail } from './emailVerification.js';
+
+// Users who delete their account are deactivated straight away and purged
+// once the grace period ends, unless they follow the cancellation link first.
+// Accounts deleted by an admin go to the trash, where they can be restored
+// until the retention period ends.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const PURGE_BATCH_SIZE = 100;
+
+// Read lazily; dotenv is loaded after modules are imported
+export const getDeletionGracePeriodMs = () => {
+    return (parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * DAY_MS;
+};
+
+export const getTrashRetentionMs = () => {
+    return (parseFloat(process.env.USER_TRASH_RETENTION_DAYS) || 30) * DAY_MS;
+};
+
+export const isDeletionPending = (user) => !!user.deletionScheduledFor;
+
+// Send the 403 response for a login to an account waiting to be deleted
+export const sendDeletionPendingResponse = (res, user) => {
+    return res.status(403).json({
+        success: false,
+        message: 'This account is scheduled for deletion. Use the link in the confirmation email to keep it.',
+        deletionScheduledFor: user.deletionScheduledFor
+    });
+};
+
+// Deactivate the account and schedule the purge. Returns the cancellation
+// token for the confirmation email along with the schedule.
+export const scheduleAccountDeletion = async (user, req) => {
+    const gracePeriodMs = getDeletionGracePeriodMs();
+    const deletionRequestedAt = new Date();
+    const deletionScheduledFor = new Date(deletionRequestedAt.getTime() + gracePeriodMs);
+
+    await User.updateOne({ _id: user._id }, { deletionRequestedAt, deletionScheduledFor });
+    const revokedSessions = await invalidateUserTokens(user._id, 'account_deletion_requested');
+
+    const cancelToken = await createOneTimeToken({
+        userId: user._id,
+        purpose: TOKEN_PURPOSES.ACCOUNT_DELETION_CANCEL,
+        expiresInMs: gracePeriodMs
+    });
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.ACCOUNT_DELETION_REQUEST,
+        actor: user._id,
+        subject: user._id,
+        req,
+        statusCode: 200,
+        metadata: { deletionScheduledFor }
+    });
+
+    return { cancelToken, deletionScheduledFor, revokedSessions };
+};
+
+// Reactivate an account from the cancellation link; returns the user, or null
+// if the link is invalid or the account is no longer waiting to be deleted
+export const cancelAccountDeletion = async (token, req) => {
+    const cancelToken = await consumeOneTimeToken(token, TOKEN_PURPOSES.ACCOUNT_DELETION_CANCEL);
+    if (!cancelToken) return null;
+
+    const user = await User.findOneAndUpdate(
+        { _id: cancelToken.user, deletionScheduledFor: { $ne: null } },
+        { deletionRequestedAt: null, deletionScheduledFor: null },
+        { new: true }
+    );
+
+    if (user) {
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.ACCOUNT_DELETION_CANCEL,
+            actor: user._id,
+            subject: user._id,
+            req,
+            statusCode: 200
+        });
+    }
+
+    return user;
+};
+
+// Move a user and their profile to the trash. Trashed users are hidden from
+// every query, so they can't log in, and are signed out everywhere.
+export const trashUser = async (user, { deletedBy, req }) => {
+    const deletedAt = new Date();
+
+    // Signed out first; once trashed the user is hidden from updates too
+    const revokedSessions = await invalidateUserTokens(user._id, 'user_deleted');
+
+    await User.updateOne({ _id: user._id }, { deletedAt, deletedBy });
+    await Profile.updateOne({ userId: user._id }, { deletedAt, deletedBy });
+
+    // Links already emailed to the user stop working
+    await OneTimeToken.deleteMany({ user: user._id });
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.ACCOUNT_TRASH,
+        actor: deletedBy,
+        subject: user._id,
+        req,
+        statusCode: 200
+    });
+
+    return {
+        deletedAt,
+        purgeAt: new Date(deletedAt.getTime() + getTrashRetentionMs()),
+        revokedSessions
+    };
+};
+
+// Bring a trashed user and their profile back
+export const restoreTrashedUser = async (user, { restoredBy, req }) => {
+    const restore = { deletedAt: null, deletedBy: null };
+
+    await User.updateOne({ _id: user._id, deletedAt: { $ne: null } }, restore);
+    await Profile.updateOne({ userId: user._id, deletedAt: { $ne: null } }, restore);
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.ACCOUNT_RESTORE,
+        actor: restoredBy,
+        subject: user._id,
+        req,
+        statusCode: 200
+    });
+};
+
+// Hard-delete a user with their profile, contact messages, sessions, login
+// history and outstanding tokens, leaving a DeletedAccount tombstone. Audit
+// log entries are kept.
+export const purgeUser = async (user, { reason, deletedBy = null, req } = {}) => {
+    const userId = user._id;
+
+    const [profiles, contacts, sessions, refreshTokens, loginEvents, oneTimeTokens] = await Promise.all([
+        Profile.deleteMany({ userId }).setOptions({ withDeleted: true }),
+        Contact.deleteMany({ email: user.email }),
+        UserSession.deleteMany({ user: userId }),
+        RefreshToken.deleteMany({ user: userId }),
+        LoginEvent.deleteMany({ user: userId }),
+        OneTimeToken.deleteMany({ user: userId })
+    ]);
+
+    // Upsert so a purge interrupted after this point can simply run again
+    const tombstone = await DeletedAccount.findOneAndUpdate(
+        { userId },
+        {
+            emailHash: crypto.createHash('sha256').update(user.email.toLowerCase()).digest('hex'),
+            role: user.role,
+            accountCreatedAt: user.createdAt,
+            reason,
+            requestedAt: user.deletionRequestedAt || user.deletedAt,
+            deletedBy,
+            purged: {
+                profiles: profiles.deletedCount,
+                contacts: contacts.deletedCount,
+                sessions: sessions.deletedCount,
+                refreshTokens: refreshTokens.deletedCount,
+                loginEvents: loginEvents.deletedCount,
+                oneTimeTokens: oneTimeTokens.deletedCount
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await User.deleteOne({ _id: userId }).setOptions({ withDeleted: true });
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.ACCOUNT_DELETE,
+        actor: deletedBy || userId,
+        subject: userId,
+        req,
+        statusCode: 200,
+        metadata: { reason, tombstone: tombstone._id }
+    });
+
+    return tombstone;
+};
+
+// Purge every account whose grace period has ended; returns how many were deleted
+export const purgeDueAccounts = async () => {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+        .limit(PURGE_BATCH_SIZE);
+
+    let purged = 0;
+    for (const user of users) {
+        try {
+            await purgeUser(user, { reason: 'user_request' });
+            purged += 1;
+
+            sendAccountDeletedEmail(user).catch(emailError => {
+                console.error('Failed to send account deleted email:', emailError);
+            });
+        } catch (error) {
+            console.error(`Failed to purge user ${user._id}:`, error);
+        }
+    }
+    return purged;
+};
+
+// Purge users who have been in the trash longer than the retention period
+export const purgeExpiredTrash = async () => {
+    const users = await User.find({ deletedAt: { $ne: null, $lte: new Date(Date.now() - getTrashRetentionMs()) } })
+        .limit(PURGE_BATCH_SIZE);
+
+    let purged = 0;
+    for (const user of users) {
+        try {
+            await purgeUser(user, { reason: 'admin', deletedBy: user.deletedBy });
+            purged += 1;
+        } catch (error) {
+            console.error(`Failed to purge trashed user ${user._id}:`, error);
+        }
+    }
+    return purged;
+};
+
+// Check for accounts due for deletion now and every hour
+export const startAccountPurge = () => {
+    const runPurge = () => {
+        Promise.all([purgeDueAccounts(), purgeExpiredTrash()])
+            .then(([dueAccounts, expiredTrash]) => {
+                const purged = dueAccounts + expiredTrash;
+                if (purged > 0) console.log(`🗑️ Purged ${purged} deleted account(s)`);
+            })
+            .catch(error => {
+                console.error('Account purge failed:', error);
+            });
+    };
+
+    runPurge();
+    setInterval(runPurge, PURGE_CHECK_INTERVAL_MS).unref();
+};
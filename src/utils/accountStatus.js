@@ -0,0 +1,85 @@
+import User from '../models/User.js';
+import { invalidateUserTokens } from './authTokens.js';
+import { AUDIT_ACTIONS, recordAuditEvent } from './auditLog.js';
+import { sendAccountStatusEmail } from './emailVerification.js';
+
+// Admins can suspend an account until a date or ban it outright. Either way
+// the account is signed out and every login path and token refuses it.
+export const ACCOUNT_STATES = {
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    BANNED: 'banned'
+};
+
+// Returns null when the account may sign in, otherwise { state, reason, until }.
+// A suspension whose end date has passed no longer applies.
+export const getAccountRestriction = (user, now = Date.now()) => {
+    const status = user.accountStatus;
+    if (!status || !status.state || status.state === ACCOUNT_STATES.ACTIVE) return null;
+
+    if (status.state === ACCOUNT_STATES.SUSPENDED && status.until && status.until.getTime() <= now) {
+        return null;
+    }
+
+    return {
+        state: status.state,
+        reason: status.reason || null,
+        until: status.state === ACCOUNT_STATES.SUSPENDED ? status.until : null
+    };
+};
+
+// Send the 403 response for a suspended or banned account
+export const sendAccountRestrictedResponse = (res, restriction) => {
+    return res.status(403).json({
+        success: false,
+        message: restriction.state === ACCOUNT_STATES.BANNED
+            ? 'This account has been banned.'
+            : `This account is suspended until ${restriction.until.toUTCString()}.`,
+        accountStatus: restriction
+    });
+};
+
+const createAccountStatusError = (message) => {
+    const error = new Error(message);
+    error.name = 'AccountStatusError';
+    return error;
+};
+
+// Change an account's status, sign it out when it is blocked and let the user
+// know by email. Returns the new status and the number of sessions revoked.
+// Throws an AccountStatusError for a change that is not allowed.
+export const setAccountStatus = async (user, { state, reason = '', until = null, changedBy, req }) => {
+    // A suspension would lift the ban when it ends
+    if (state === ACCOUNT_STATES.SUSPENDED && user.accountStatus?.state === ACCOUNT_STATES.BANNED) {
+        throw createAccountStatusError('User is banned; reinstate them first');
+    }
+
+    const accountStatus = {
+        state,
+        reason,
+        until: state === ACCOUNT_STATES.SUSPENDED ? until : null,
+        changedBy,
+        changedAt: new Date()
+    };
+
+    await User.updateOne({ _id: user._id }, { accountStatus });
+
+    const revokedSessions = state === ACCOUNT_STATES.ACTIVE
+        ? 0
+        : await invalidateUserTokens(user._id, `account_${state}`);
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.ACCOUNT_STATUS_CHANGE,
+        actor: changedBy,
+        subject: user._id,
+        req,
+        statusCode: 200,
+        metadata: { state, reason, until: accountStatus.until }
+    });
+
+    sendAccountStatusEmail(user, accountStatus).catch(emailError => {
+        console.error('Failed to send account status email:', emailError);
+    });
+
+    return { accountStatus, revokedSessions };
+};
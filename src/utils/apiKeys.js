@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from './authTokens.js';
+
+const API_KEY_PREFIX = 'mdk_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // record usage at most once a minute per key
+
+// Returns the raw key (shown once) and what gets stored
+export const generateApiKey = () => {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+        key,
+        prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+        keyHash: hashToken(key)
+    };
+};
+
+// The key document for a raw key if it is active (not revoked or expired), otherwise null
+export const findActiveApiKey = async (rawKey) => {
+    if (typeof rawKey !== 'string' || !rawKey.startsWith(API_KEY_PREFIX)) return null;
+
+    return ApiKey.findOne({
+        keyHash: hashToken(rawKey),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+};
+
+// Last-used tracking shouldn't slow requests down or fail them
+export const recordApiKeyUsage = (apiKey, ipAddress) => {
+    if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+
+    ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+    ).catch(error => {
+        console.error('Failed to record API key usage:', error);
+    });
+};
@@ -0,0 +1,55 @@
+import AuditLog from '../models/AuditLog.js';
+
+export const AUDIT_ACTIONS = {
+    IMPERSONATION_START: 'impersonation.start',
+    IMPERSONATION_REQUEST: 'impersonation.request',
+    ACCOUNT_DELETION_REQUEST: 'account.deletion_request',
+    ACCOUNT_DELETION_CANCEL: 'account.deletion_cancel',
+    ACCOUNT_DELETE: 'account.delete',
+    ACCOUNT_TRASH: 'account.trash',
+    ACCOUNT_RESTORE: 'account.restore',
+    ACCOUNT_STATUS_CHANGE: 'account.status_change',
+    USERS_EXPORT: 'users.export',
+    USERS_IMPORT: 'users.import'
+};
+
+// Write an audit entry with the request details
+export const recordAuditEvent = ({ action, actor, subject, req, statusCode, metadata }) => {
+    return AuditLog.create({
+        action,
+        actor,
+        subject,
+        method: req?.method,
+        path: req?.originalUrl,
+        statusCode,
+        ipAddress: req?.ip,
+        userAgent: req?.get('User-Agent') || '',
+        metadata
+    });
+};
+
+// Log a request made with an impersonation token once its response is sent,
+// so the entry records the outcome as well. Requests the client aborts are
+// logged when the connection closes; either way each request is logged once.
+export const auditImpersonatedRequest = (req, res) => {
+    let recorded = false;
+
+    const record = () => {
+        if (recorded) return;
+        recorded = true;
+
+        recordAuditEvent({
+            action: AUDIT_ACTIONS.IMPERSONATION_REQUEST,
+            actor: req.impersonator._id,
+            subject: req.user._id,
+            req,
+            statusCode: res.statusCode,
+            metadata: res.writableFinished ? undefined : { aborted: true }
+        }).catch(error => {
+            console.error('Failed to write impersonation audit log:', error);
+        });
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+};
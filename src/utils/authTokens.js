@@ -0,0 +1,299 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import UserSession from '../models/UserSession.js';
+import User from '../models/User.js';
+import { signAccessToken } from './keyManager.js';
+import SecuritySetting from '../models/SecuritySetting.js';
+import { recordSuccessfulLogin } from './loginHistory.js';
+import { isJwtAuthEnabled, isSessionAuthEnabled, startCookieSession } from './cookieSessions.js';
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const CHALLENGE_TOKEN_TTL = '5m';
+export const IMPERSONATION_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+
+// What a challenge token allows its holder to do next
+export const CHALLENGE_PURPOSES = {
+    TWO_FACTOR_LOGIN: '2fa_login',
+    TWO_FACTOR_SETUP: '2fa_setup'
+};
+
+// Cookie configuration
+export const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    maxAge: REFRESH_TOKEN_TTL_MS,
+    partitioned: process.env.NODE_ENV === 'production',
+    // Conditional domain setting
+    // ...(process.env.NODE_ENV === 'production'
+    //     ? { domain: process.env.COOKIE_DOMAIN || '.shielderas.org' }
+    //     : {}
+    // )
+};
+
+// Errors carry a name so controllers can branch on it like they do for jsonwebtoken errors
+const createTokenError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
+
+// Device details recorded with a session
+const getRequestContext = (req) => ({
+    ipAddress: req.ip || req.connection?.remoteAddress || '',
+    userAgent: req.get('User-Agent') || ''
+});
+
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Tokens carry the user's token version (`tv`); bumping it on the user
+// invalidates every token issued before, see invalidateUserTokens.
+// Signed with the current asymmetric key, see utils/keyManager.js
+export const generateAccessToken = async (user, sessionId) => {
+    const payload = { id: user._id.toString(), tv: user.tokenVersion || 0 };
+    if (sessionId) payload.sid = sessionId.toString();
+    return signAccessToken(payload, ACCESS_TOKEN_TTL_SECONDS);
+};
+
+// Access token for acting as `user`. It also carries the admin's id (`imp`) and
+// token version (`itv`) so revoking the admin's tokens ends the impersonation.
+// No session or refresh token is created, it simply expires.
+export const generateImpersonationToken = async (user, impersonator) => {
+    return signAccessToken(
+        {
+            id: user._id.toString(),
+            tv: user.tokenVersion || 0,
+            imp: impersonator._id.toString(),
+            itv: impersonator.tokenVersion || 0
+        },
+        IMPERSONATION_TOKEN_TTL_SECONDS
+    );
+};
+
+// Whether a decoded token was issued for the user's current token version
+export const isTokenVersionCurrent = (decoded, user) => {
+    return (decoded.tv || 0) === (user.tokenVersion || 0);
+};
+
+// Issue a refresh token and store its hash. The family is the id of the
+// session being continued, so every rotation stays in the same chain.
+export const issueRefreshToken = async (user, family) => {
+    const token = jwt.sign(
+        { id: user._id, tv: user.tokenVersion || 0, family },
+        process.env.REFRESH_TOKEN_SECRET,
+        { expiresIn: '7d', jwtid: crypto.randomUUID() }
+    );
+
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return token;
+};
+
+// Record a new device session and issue its first pair of tokens
+export const startSession = async (user, req, { withTokens = true } = {}) => {
+    const session = await UserSession.create({
+        user: user._id,
+        ...getRequestContext(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    if (!withTokens) {
+        return { session };
+    }
+
+    const accessToken = await generateAccessToken(user, session._id);
+    const refreshToken = await issueRefreshToken(user, session._id.toString());
+
+    return { session, accessToken, refreshToken };
+};
+
+// Update last-used details of a session after a successful refresh
+export const touchSession = async (sessionId, req) => {
+    await UserSession.updateOne(
+        { _id: sessionId },
+        {
+            ...getRequestContext(req),
+            lastUsedAt: new Date(),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        }
+    );
+};
+
+// Revoke a session and every refresh token issued for it
+export const revokeSession = async (sessionId, reason) => {
+    const revokedAt = new Date();
+    await UserSession.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt, revokedReason: reason }
+    );
+    await RefreshToken.updateMany(
+        { family: sessionId.toString(), revokedAt: null },
+        { revokedAt, revokedReason: reason }
+    );
+};
+
+// Revoke all sessions of a user, optionally keeping the current one
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await UserSession.find(filter).select('_id');
+    await Promise.all(sessions.map(session => revokeSession(session._id, reason)));
+    return sessions.length;
+};
+
+// Make every token issued to a user so far unusable, e.g. after a role change.
+// A kept session stays listed but needs new tokens, see renewSessionTokens.
+export const invalidateUserTokens = async (userId, reason, exceptSessionId = null) => {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    return revokeUserSessions(userId, reason, exceptSessionId);
+};
+
+export const isSessionActive = async (sessionId) => {
+    const session = await UserSession.exists({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    return !!session;
+};
+
+// Start a session and set the refresh cookie and/or session cookie, depending
+// on AUTH_MODE; returns the access token, or null when JWTs are disabled.
+// Every login method ends here, so this is where logins are recorded.
+export const signInUser = async (req, res, user) => {
+    const withTokens = isJwtAuthEnabled();
+    const { session, accessToken, refreshToken } = await startSession(user, req, { withTokens });
+    await recordSuccessfulLogin(req, user, session._id);
+
+    if (isSessionAuthEnabled()) {
+        await startCookieSession(req, user, session._id);
+    }
+
+    if (!withTokens) return null;
+
+    res.cookie('refreshToken', refreshToken, cookieOptions);
+    return accessToken;
+};
+
+// Keep the current session signed in after invalidateUserTokens: the session
+// cookie and a new refresh cookie get the new token version. Returns the new
+// access token, or null when JWTs are disabled.
+export const renewSessionTokens = async (req, res, userId) => {
+    const user = await User.findById(userId).select('tokenVersion');
+
+    if (isSessionAuthEnabled() && req.session?.userId === user._id.toString()) {
+        req.session.tokenVersion = user.tokenVersion || 0;
+    }
+
+    if (!isJwtAuthEnabled() || !req.sessionId) return null;
+
+    const accessToken = await generateAccessToken(user, req.sessionId);
+    res.cookie('refreshToken', await issueRefreshToken(user, req.sessionId.toString()), cookieOptions);
+    return accessToken;
+};
+
+// Challenge tokens are only ever checked by this server, so they are signed
+// with a symmetric key derived from JWT_SECRET that `authenticate` never accepts
+const getChallengeSecret = () => {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('auth-challenge').digest('hex');
+};
+
+// Short-lived token proving the password step of a login succeeded. Like
+// access tokens it carries the token version, so invalidateUserTokens also
+// cancels a login that is still waiting for its second step.
+export const generateChallengeToken = (user, purpose) => {
+    return jwt.sign(
+        { id: user._id.toString(), tv: user.tokenVersion || 0, purpose },
+        getChallengeSecret(),
+        { expiresIn: CHALLENGE_TOKEN_TTL }
+    );
+};
+
+// Returns the decoded payload, throws like jwt.verify on bad tokens. Callers
+// must also check isTokenVersionCurrent once they have loaded the user.
+export const verifyChallengeToken = (token, purpose) => {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    if (decoded.purpose !== purpose) {
+        throw createTokenError('JsonWebTokenError', 'Invalid challenge token');
+    }
+    return decoded;
+};
+
+// The 2FA step a user must complete before getting tokens, or null if none.
+// Accounts with 2FA finish at /api/auth/2fa/verify; roles that require 2FA
+// must enrol first via /api/auth/2fa/setup.
+export const getLoginChallenge = async (user) => {
+    if (user.twoFactor?.enabled) {
+        return {
+            twoFactorRequired: true,
+            challengeToken: generateChallengeToken(user, CHALLENGE_PURPOSES.TWO_FACTOR_LOGIN)
+        };
+    }
+
+    if (await SecuritySetting.isTwoFactorRequired(user.role)) {
+        return {
+            twoFactorSetupRequired: true,
+            challengeToken: generateChallengeToken(user, CHALLENGE_PURPOSES.TWO_FACTOR_SETUP)
+        };
+    }
+
+    return null;
+};
+
+// Mark a refresh token as used and return its owner and family.
+// Presenting a token that was already used revokes its whole family.
+export const rotateRefreshToken = async (token) => {
+    // Throws TokenExpiredError / JsonWebTokenError for bad signatures
+    const decoded = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
+
+    const tokenHash = hashToken(token);
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const storedToken = await RefreshToken.findOneAndUpdate(
+        { tokenHash, usedAt: null, revokedAt: null },
+        { usedAt: new Date() },
+        { new: true }
+    );
+
+    if (!storedToken) {
+        const knownToken = await RefreshToken.findOne({ tokenHash });
+        if (!knownToken) {
+            throw createTokenError('JsonWebTokenError', 'Unknown refresh token');
+        }
+        // The owner is attached so the failed refresh shows in their login history
+        const error = knownToken.usedAt
+            ? createTokenError('RefreshTokenReuseError', 'Refresh token has already been used')
+            : createTokenError('RefreshTokenRevokedError', 'Refresh token has been revoked');
+        error.userId = knownToken.user;
+
+        if (knownToken.usedAt) {
+            await revokeSession(knownToken.family, 'reuse_detected');
+        }
+        throw error;
+    }
+
+    return {
+        userId: storedToken.user,
+        family: storedToken.family,
+        decoded
+    };
+};
+
+// Revoke the session a refresh token belongs to (used on logout)
+export const revokeRefreshToken = async (token, reason = 'logout') => {
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if (storedToken) {
+        await revokeSession(storedToken.family, reason);
+    }
+    return storedToken;
+};
@@ -0,0 +1,51 @@
+// Cookie-session authentication for the first-party web client, backed by the
+// express-session store configured in server.js. AUTH_MODE decides what a
+// login hands out: `jwt` (access and refresh tokens, the default), `session`
+// (a session cookie) or `both`.
+const AUTH_MODES = ['jwt', 'session', 'both'];
+
+// express-session's default cookie name
+export const SESSION_COOKIE = 'connect.sid';
+
+// Read lazily; dotenv is loaded after modules are imported
+export const getAuthMode = () => {
+    const mode = process.env.AUTH_MODE || 'jwt';
+    if (!AUTH_MODES.includes(mode)) {
+        throw new Error(`Unsupported AUTH_MODE: ${mode}`);
+    }
+    return mode;
+};
+
+export const isJwtAuthEnabled = () => getAuthMode() !== 'session';
+
+export const isSessionAuthEnabled = () => getAuthMode() !== 'jwt';
+
+// Write the user to the session. The session id is regenerated first so an id
+// planted in the browser before login can't be used to ride the new session.
+// `sessionId` is the UserSession that lists and revokes this login.
+export const startCookieSession = (req, user, sessionId) => {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(error => {
+            if (error) return reject(error);
+
+            req.session.userId = user._id.toString();
+            req.session.tokenVersion = user.tokenVersion || 0;
+            req.session.sid = sessionId.toString();
+            req.session.save(saveError => (saveError ? reject(saveError) : resolve()));
+        });
+    });
+};
+
+// Remove the session from the store and clear its cookie
+export const destroyCookieSession = (req, res) => {
+    return new Promise((resolve, reject) => {
+        if (!req.session) return resolve();
+
+        const { domain, path, secure, sameSite } = req.session.cookie;
+        req.session.destroy(error => {
+            if (error) return reject(error);
+            res.clearCookie(SESSION_COOKIE, { domain, path, secure, sameSite, httpOnly: true });
+            resolve();
+        });
+    });
+};
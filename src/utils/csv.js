@@ -0,0 +1,68 @@
+// Minimal RFC 4180 CSV reading and writing for imports and exports
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Quote values containing separators, quotes or newlines. Values a spreadsheet
+// would run as a formula get a leading apostrophe so an export can't carry one.
+export const toCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIXES.includes(text[0])) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+// Parse CSV text into rows of strings. Handles quoted fields with embedded
+// commas, quotes and newlines, CRLF or LF line endings and a UTF-8 BOM.
+// Throws on an unterminated quote.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(values => values.some(value => value.trim() !== ''));
+};
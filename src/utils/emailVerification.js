@@ -1,6 +1,11 @@
-import crypto from 'crypto';
 import nodemailer from 'nodemailer';
 
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Names, addresses and reasons are typed in by users and admins, so they are
+// escaped before going into email HTML
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
 // Flag to track if Gmail failed and we should fallback to Ethereal
 let gmailFailed = false;
 
@@ -57,17 +62,12 @@ const createTransporter = () => {
     return nodemailer.createTransport(config);
 };
 
-// Generate email verification token
-export const generateEmailVerificationToken = () => {
-    return crypto.randomBytes(32).toString('hex');
-};
-
 // Send verification email
-export const sendVerificationEmail = async (user) => {
+export const sendVerificationEmail = async (user, verificationToken) => {
     try {
         const transporter = createTransporter();
 
-        const verificationUrl = `${process.env.CLIENT_URL || 'https://modern-design-zeta.vercel.app'}/verify-email?token=${user.emailVerificationToken}&email=${encodeURIComponent(user.email)}`;
+        const verificationUrl = `${process.env.CLIENT_URL || 'https://modern-design-zeta.vercel.app'}/verify-email?token=${verificationToken}&email=${encodeURIComponent(user.email)}`;
 
         const mailOptions = {
             from: process.env.EMAIL_FROM || '"Modern Design" <no-reply@shieldera.com>',
@@ -170,7 +170,7 @@ export const sendVerificationEmail = async (user) => {
                             
                             <div class="content">
                                 <h2>Welcome to Modern Design!</h2>
-                                <p>Hi ${user.fullName},</p>
+                                <p>Hi ${escapeHtml(user.fullName)},</p>
                                 <p>Thank you for signing up. Please verify your email address to complete your registration and access all features:</p>
                                 
                                 <div style="text-align: center;">
@@ -330,7 +330,7 @@ export const sendWelcomeEmail = async (user) => {
                             
                             <div class="content">
                                 <h2>Welcome to Modern Design!</h2>
-                                <p>Hi ${user.fullName},</p>
+                                <p>Hi ${escapeHtml(user.fullName)},</p>
                                 <p>Congratulations! You're welcom to Modern Design. Your email has been successfully verified and your account is now fully activated.</p>
                                 
                                 <p>You now have access to all features of our platform:</p>
@@ -498,7 +498,7 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
                             
                             <div class="content">
                                 <h2>Password Reset Request</h2>
-                                <p>Hi ${user.fullName},</p>
+                                <p>Hi ${escapeHtml(user.fullName)},</p>
                                 <p>We received a request to reset your Modern Design account password. Click the button below to proceed:</p>
                                 
                                 <div style="text-align: center;">
@@ -675,7 +675,7 @@ export const sendPasswordResetSuccessEmail = async (user) => {
                             
                             <div class="content">
                                 <h2>Password Reset Request</h2>
-                                <p>Hi ${user.fullName},</p>
+                                <p>Hi ${escapeHtml(user.fullName)},</p>
                                 <p>Your Password has been reseted successfully. Please click the button below and Login to your account</p>
                                 
                                 <div style="text-align: center;">
@@ -737,4 +737,393 @@ export const sendPasswordResetSuccessEmail = async (user) => {
         console.error('Error sending password reset email:', error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+// Shared layout for account security emails, same look as the password reset email
+const buildSecurityEmailHtml = ({ heading, fullName, paragraphs, button, expiryNote, securityNote }) => `
+                <html>
+                    <head>
+                        <style type="text/css">
+                            @import url('https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600&display=swap');
+                            
+                            body {
+                                font-family: 'Poppins', Arial, sans-serif;
+                                line-height: 1.7;
+                                color: #444;
+                                background-color: #f7f9fc;
+                                margin: 0;
+                                padding: 20px;
+                                font-size: 15px;
+                            }
+                            .email-container {
+                                max-width: 600px;
+                                margin: 0 auto;
+                                background: white;
+                                border-radius: 12px;
+                                overflow: hidden;
+                                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);
+                            }
+                            .header {
+                                background: linear-gradient(135deg,rgb(17, 55, 124) 0%,rgb(0, 82, 204) 100%);
+                                padding: 10px;
+                                text-align: center;
+                                font-size: 34px;
+                                font-weight: bold;
+                                color: white;
+                            }
+                            .content {
+                                padding: 30px;
+                                font-size: 17px;
+                            }
+                            h2 {
+                                color: #2c3e50;
+                                margin-top: 0;
+                                font-size: 30px;
+                                font-weight: 600;
+                            }
+                            .action-button {
+                                display: inline-block;
+                                background: linear-gradient(135deg, #0066ff 0%, #0033aa 100%);
+                                color: white !important;
+                                text-decoration: none;
+                                padding: 16px 32px;
+                                border-radius: 8px;
+                                font-weight: 500;
+                                font-size: 19px;
+                                margin: 20px 0;
+                                box-shadow: 0 4px 8px rgba(0, 102, 255, 0.2);
+                            }
+                            .link-fallback {
+                                background: #f5f7fa;
+                                padding: 15px;
+                                border-radius: 8px;
+                                word-break: break-all;
+                                font-size: 15px;
+                                color: #555;
+                                margin: 20px 0;
+                            }
+                            .footer {
+                                text-align: center;
+                                padding: 20px;
+                                color: #999;
+                                font-size: 13px;
+                                border-top: 1px solid #eee;
+                            }
+                            .expiry-note {
+                                color: #e74c3c;
+                                font-weight: 500;
+                                margin: 15px 0;
+                                font-size: 15px;
+                            }
+                            .security-note {
+                                background: #fff8e1;
+                                padding: 15px;
+                                border-radius: 8px;
+                                border-left: 4px solid #ffc107;
+                                margin: 20px 0;
+                                font-size: 15px;
+                            }
+                        </style>
+                    </head>
+                    <body>
+                        <div class="email-container">
+                            <div class="header">
+                                Modern Design
+                            </div>
+                            
+                            <div class="content">
+                                <h2>${heading}</h2>
+                                <p>Hi ${escapeHtml(fullName)},</p>
+                                ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n                                ')}
+                                ${button ? `
+                                <div style="text-align: center;">
+                                    <a href="${button.url}" class="action-button">${button.text}</a>
+                                </div>
+                                
+                                <p>Or copy and paste this URL into your browser:</p>
+                                <div class="link-fallback">${button.url}</div>
+                                ` : ''}
+                                ${expiryNote ? `<p class="expiry-note">⚠️ ${expiryNote}</p>` : ''}
+                                
+                                <div class="security-note">
+                                    <strong>Security notice:</strong> ${securityNote || 'If you didn\'t do this, please <a href="mailto:support@ModernDesign.org" style="color: #0066ff;">contact our support team</a> immediately.'}
+                                </div>
+                            </div>
+                            
+                            <div class="footer">
+                                © ${new Date().getFullYear()} Modern Design Security Team<br>
+                                <small>123 Security Plaza, Suite 200, San Francisco, CA 94107</small>
+                            </div>
+                        </div>
+                    </body>
+                </html>
+            `;
+
+// Send through the shared transporter with the usual logging and Gmail fallback
+const deliverEmail = async (mailOptions, description) => {
+    try {
+        const transporter = createTransporter();
+
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`Attempting to send ${description} email to:`, mailOptions.to);
+        }
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log(`${description} email sent: %s`, info.messageId);
+
+        if (process.env.NODE_ENV === 'development') {
+            console.log('Preview URL: %s', nodemailer.getTestMessageUrl(info));
+        }
+
+        return info;
+    } catch (error) {
+        // Handle Gmail failures with fallback to Ethereal
+        if (process.env.EMAIL_HOST && process.env.EMAIL_HOST.includes('gmail')) {
+            gmailFailed = true;
+            if (process.env.NODE_ENV === 'development') {
+                console.log('Gmail failed, will fallback to Ethereal Email on next attempt');
+            }
+        }
+
+        console.error(`Error sending ${description} email:`, error);
+        throw error;
+    }
+};
+
+const getClientUrl = () => process.env.CLIENT_URL || 'https://modern-design-zeta.vercel.app';
+
+// Account locked after too many failed logins
+export const sendAccountLockedEmail = async (user, unlockToken, lockUntil) => {
+    const unlockUrl = `${getClientUrl()}/unlock-account?token=${unlockToken}&email=${encodeURIComponent(user.email)}`;
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: user.email,
+        subject: 'Your account has been temporarily locked',
+        html: buildSecurityEmailHtml({
+            heading: 'Account Temporarily Locked',
+            fullName: user.fullName,
+            paragraphs: [
+                'We locked your Modern Design account after several failed login attempts.',
+                `It will unlock automatically at ${lockUntil.toUTCString()}. If these attempts were yours, you can unlock it now:`
+            ],
+            button: { text: 'Unlock My Account', url: unlockUrl },
+            expiryNote: 'This unlock link will expire when the lock ends.',
+            securityNote: 'If you didn\'t try to log in, someone may be guessing your password. Consider resetting it after unlocking your account.'
+        })
+    }, 'Account locked');
+};
+
+// Password changed from account settings
+export const sendPasswordChangedEmail = async (user) => {
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: user.email,
+        subject: 'Your password was changed',
+        html: buildSecurityEmailHtml({
+            heading: 'Password Changed',
+            fullName: user.fullName,
+            paragraphs: [
+                'The password for your Modern Design account was just changed.',
+                'All other devices have been signed out.'
+            ],
+            securityNote: 'If you didn\'t change your password, reset it right away and <a href="mailto:support@ModernDesign.org" style="color: #0066ff;">contact our support team</a>.'
+        })
+    }, 'Password changed');
+};
+
+// Confirmation link sent to the new address of an email change
+export const sendEmailChangeConfirmationEmail = async (user, newEmail, confirmationToken) => {
+    const confirmUrl = `${getClientUrl()}/confirm-email-change?token=${confirmationToken}`;
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design" <no-reply@shieldera.com>',
+        to: newEmail,
+        subject: 'Confirm your new email address',
+        html: buildSecurityEmailHtml({
+            heading: 'Confirm Your New Email',
+            fullName: user.fullName,
+            paragraphs: [
+                `You asked to change the email address of your Modern Design account to <strong>${escapeHtml(newEmail)}</strong>.`,
+                'Click the button below to confirm. Your current address stays active until you do.'
+            ],
+            button: { text: 'Confirm Email Change', url: confirmUrl },
+            expiryNote: 'This confirmation link will expire in 24 hours.',
+            securityNote: 'If you didn\'t request this change, you can ignore this email.'
+        })
+    }, 'Email change confirmation');
+};
+
+// Notice to the old address once an email change is confirmed
+export const sendEmailChangedNoticeEmail = async (user, oldEmail) => {
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: oldEmail,
+        subject: 'Your account email was changed',
+        html: buildSecurityEmailHtml({
+            heading: 'Email Address Changed',
+            fullName: user.fullName,
+            paragraphs: [
+                `The email address of your Modern Design account was changed from <strong>${escapeHtml(oldEmail)}</strong> to <strong>${escapeHtml(user.email)}</strong>.`,
+                'From now on, account emails will be sent to the new address.'
+            ],
+            securityNote: 'If you didn\'t make this change, <a href="mailto:support@ModernDesign.org" style="color: #0066ff;">contact our support team</a> immediately.'
+        })
+    }, 'Email changed notice');
+};
+
+// Passwordless login link
+export const sendMagicLinkEmail = async (user, magicToken) => {
+    const loginUrl = `${getClientUrl()}/magic-login?token=${magicToken}`;
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design" <no-reply@shieldera.com>',
+        to: user.email,
+        subject: 'Your Modern Design login link',
+        html: buildSecurityEmailHtml({
+            heading: 'Log In to Modern Design',
+            fullName: user.fullName,
+            paragraphs: [
+                'Click the button below to log in to your Modern Design account. No password needed.'
+            ],
+            button: { text: 'Log In', url: loginUrl },
+            expiryNote: 'This login link will expire in 15 minutes and can only be used once.',
+            securityNote: 'If you didn\'t request this link, you can ignore this email. Nobody can log in without access to your inbox.'
+        })
+    }, 'Magic link');
+};
+
+// Invitation to set up an account created by an admin
+export const sendInvitationEmail = async (invitation, inviteToken, inviterName) => {
+    const inviteUrl = `${getClientUrl()}/accept-invite?token=${inviteToken}`;
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design" <no-reply@shieldera.com>',
+        to: invitation.email,
+        subject: 'You have been invited to Modern Design',
+        html: buildSecurityEmailHtml({
+            heading: 'You\'re Invited',
+            fullName: invitation.fullName,
+            paragraphs: [
+                inviterName
+                    ? `${escapeHtml(inviterName)} has invited you to join Modern Design.`
+                    : 'You have been invited to join Modern Design.',
+                'Click the button below to choose a password and activate your account.'
+            ],
+            button: { text: 'Accept Invitation', url: inviteUrl },
+            expiryNote: `This invitation will expire on ${invitation.expiresAt.toUTCString()}.`,
+            securityNote: 'If you weren\'t expecting this invitation, you can ignore this email.'
+        })
+    }, 'Invitation');
+};
+
+// Sign-in from a device the user hasn't used before
+export const sendNewDeviceLoginEmail = async (user, loginEvent, reportToken) => {
+    const reportUrl = `${getClientUrl()}/secure-account?token=${reportToken}`;
+    const { browser, os } = loginEvent.device;
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: user.email,
+        subject: 'New sign-in from an unrecognised device',
+        html: buildSecurityEmailHtml({
+            heading: 'New Sign-In Detected',
+            fullName: user.fullName,
+            paragraphs: [
+                'Your Modern Design account was just signed in to from a device we don\'t recognise:',
+                `<strong>${browser} on ${os}</strong><br>IP address: ${escapeHtml(loginEvent.ipAddress || 'unknown')}<br>Time: ${loginEvent.createdAt.toUTCString()}`,
+                'If this was you, there\'s nothing you need to do.'
+            ],
+            button: { text: 'This Wasn\'t Me', url: reportUrl },
+            expiryNote: 'The button signs you out everywhere and asks you to choose a new password. It works for 7 days.',
+            securityNote: 'Someone else may know your password. Secure your account right away if you don\'t recognise this sign-in.'
+        })
+    }, 'New device login');
+};
+
+// Confirmation of a deletion request, with a link to keep the account
+export const sendAccountDeletionScheduledEmail = async (user, cancelToken, deletionScheduledFor) => {
+    const cancelUrl = `${getClientUrl()}/cancel-account-deletion?token=${cancelToken}`;
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: user.email,
+        subject: 'Your account is scheduled for deletion',
+        html: buildSecurityEmailHtml({
+            heading: 'Account Deletion Scheduled',
+            fullName: user.fullName,
+            paragraphs: [
+                'We received a request to delete your Modern Design account. It has been deactivated and you have been signed out everywhere.',
+                `On <strong>${deletionScheduledFor.toUTCString()}</strong> your account, profile and contact messages will be permanently deleted.`,
+                'Changed your mind? Keep your account with the button below.'
+            ],
+            button: { text: 'Keep My Account', url: cancelUrl },
+            expiryNote: 'This link works until your account is deleted.',
+            securityNote: 'If you didn\'t ask to delete your account, keep it with the button above and reset your password right away.'
+        })
+    }, 'Account deletion scheduled');
+};
+
+// Sent once the account has been purged
+export const sendAccountDeletedEmail = async (user) => {
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: user.email,
+        subject: 'Your account has been deleted',
+        html: buildSecurityEmailHtml({
+            heading: 'Account Deleted',
+            fullName: user.fullName,
+            paragraphs: [
+                'Your Modern Design account and its data have been permanently deleted, as you requested.',
+                'Thank you for having been with us.'
+            ],
+            securityNote: 'If you didn\'t ask for this, please <a href="mailto:support@ModernDesign.org" style="color: #0066ff;">contact our support team</a>.'
+        })
+    }, 'Account deleted');
+};
+
+// An admin suspended, banned or reinstated the account
+export const sendAccountStatusEmail = async (user, accountStatus) => {
+    const { state, reason, until } = accountStatus;
+    const reasonParagraph = reason ? `Reason given: <strong>${escapeHtml(reason)}</strong>` : null;
+
+    const content = {
+        suspended: {
+            subject: 'Your account has been suspended',
+            heading: 'Account Suspended',
+            paragraphs: [
+                `Your Modern Design account has been suspended until <strong>${until?.toUTCString()}</strong> and signed out on every device.`,
+                reasonParagraph,
+                'You will be able to log in again once the suspension ends.'
+            ]
+        },
+        banned: {
+            subject: 'Your account has been banned',
+            heading: 'Account Banned',
+            paragraphs: [
+                'Your Modern Design account has been banned and signed out on every device. You can no longer log in.',
+                reasonParagraph
+            ]
+        },
+        active: {
+            subject: 'Your account has been reinstated',
+            heading: 'Account Reinstated',
+            paragraphs: [
+                'Your Modern Design account has been reinstated. You can log in again.',
+                reasonParagraph
+            ]
+        }
+    }[state];
+
+    return deliverEmail({
+        from: process.env.EMAIL_FROM || '"Modern Design Security" <security@ModernDesign.org>',
+        to: user.email,
+        subject: content.subject,
+        html: buildSecurityEmailHtml({
+            heading: content.heading,
+            fullName: user.fullName,
+            paragraphs: content.paragraphs.filter(Boolean),
+            securityNote: 'If you have questions about this decision, please <a href="mailto:support@ModernDesign.org" style="color: #0066ff;">contact our support team</a>.'
+        })
+    }, 'Account status');
+};
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+// AES-256-GCM for secrets stored in the database. The key is derived from
+// configuration, so a database dump alone doesn't reveal the secrets.
+const deriveKey = (keyMaterial) => {
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+export const encrypt = (plaintext, keyMaterial) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+export const decrypt = (payload, keyMaterial) => {
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
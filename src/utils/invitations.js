@@ -0,0 +1,21 @@
+import { TOKEN_PURPOSES, createOneTimeToken } from './oneTimeTokens.js';
+
+// Read lazily; dotenv is loaded after modules are imported
+export const getInvitationTtlMs = () => (parseFloat(process.env.INVITATION_EXPIRY_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Invitations that can still be accepted
+export const openInvitationFilter = () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Start a fresh expiry period and return a new link token; the previous link stops working
+export const issueInvitationToken = async (invitation) => {
+    invitation.expiresAt = new Date(Date.now() + getInvitationTtlMs());
+    invitation.lastSentAt = new Date();
+    invitation.sendCount += 1;
+    await invitation.save();
+
+    return createOneTimeToken({
+        invitationId: invitation._id,
+        purpose: TOKEN_PURPOSES.INVITATION,
+        expiresInMs: getInvitationTtlMs()
+    });
+};
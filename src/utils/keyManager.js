@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import SigningKey from '../models/SigningKey.js';
+import { encrypt, decrypt } from './encryption.js';
+
+// Access tokens are signed with asymmetric keys that carry a `kid` header, so
+// keys can be rotated without logging anyone out and other services can verify
+// tokens with the public keys published at /.well-known/jwks.json.
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const MIN_RELOAD_INTERVAL_MS = 10 * 1000;
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const SUPPORTED_ALGORITHMS = ['RS256', 'EdDSA'];
+
+// Read lazily; dotenv is loaded after modules are imported
+const getConfig = () => {
+    const algorithm = process.env.JWT_SIGNING_ALGORITHM || 'RS256';
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unsupported JWT_SIGNING_ALGORITHM: ${algorithm}`);
+    }
+    return {
+        algorithm,
+        rotationMs: (parseFloat(process.env.JWT_KEY_ROTATION_DAYS) || 30) * DAY_MS,
+        // Retired keys keep verifying for at least as long as the tokens they signed live
+        graceMs: (parseFloat(process.env.JWT_KEY_GRACE_DAYS) || 1) * DAY_MS,
+        encryptionKey: process.env.SIGNING_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET
+    };
+};
+
+let keyCache = { keys: [], loadedAt: 0 };
+let lastForcedReloadAt = 0;
+let rotationInProgress = null;
+
+const toKeyEntry = (doc, encryptionKey) => ({
+    kid: doc.kid,
+    algorithm: doc.algorithm,
+    status: doc.status,
+    rotateAt: doc.rotateAt,
+    createdAt: doc.createdAt,
+    publicKey: crypto.createPublicKey(doc.publicKey),
+    privateKey: doc.status === 'active' ? crypto.createPrivateKey(decrypt(doc.privateKey, encryptionKey)) : null
+});
+
+// Active keys plus retired keys still within their grace period, newest first
+const loadKeys = async ({ force = false } = {}) => {
+    if (!force && Date.now() - keyCache.loadedAt < KEY_CACHE_TTL_MS) {
+        return keyCache.keys;
+    }
+
+    const { encryptionKey } = getConfig();
+    const docs = await SigningKey.find({
+        $or: [
+            { status: 'active' },
+            { status: 'retired', removeAt: { $gt: new Date() } }
+        ]
+    })
+        .select('+privateKey')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    keyCache = {
+        keys: docs.map(doc => toKeyEntry(doc, encryptionKey)),
+        loadedAt: Date.now()
+    };
+    return keyCache.keys;
+};
+
+const createKeyPair = async (algorithm) => {
+    const options = { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } };
+    if (algorithm === 'EdDSA') {
+        return generateKeyPair('ed25519', options);
+    }
+    return generateKeyPair('rsa', { modulusLength: 2048, ...options });
+};
+
+// Create a new active key and retire the others. Retired keys keep verifying
+// tokens until their grace period ends.
+export const rotateSigningKeys = async () => {
+    // Concurrent callers in this process share one rotation
+    if (rotationInProgress) return rotationInProgress;
+
+    rotationInProgress = (async () => {
+        const { algorithm, rotationMs, graceMs, encryptionKey } = getConfig();
+        const { publicKey, privateKey } = await createKeyPair(algorithm);
+        const now = new Date();
+
+        const newKey = await SigningKey.create({
+            kid: crypto.randomUUID(),
+            algorithm,
+            publicKey,
+            privateKey: encrypt(privateKey, encryptionKey),
+            rotateAt: new Date(now.getTime() + rotationMs)
+        });
+
+        await SigningKey.updateMany(
+            { status: 'active', kid: { $ne: newKey.kid } },
+            { status: 'retired', retiredAt: now, removeAt: new Date(now.getTime() + graceMs) }
+        );
+
+        await loadKeys({ force: true });
+        console.log(`🔑 Rotated JWT signing key, new kid: ${newKey.kid}`);
+        return newKey.kid;
+    })();
+
+    try {
+        return await rotationInProgress;
+    } finally {
+        rotationInProgress = null;
+    }
+};
+
+// Newest active key for the configured algorithm, rotating first when it is due
+const getCurrentSigningKey = async () => {
+    const { algorithm } = getConfig();
+    const findCurrent = (keys) => keys.find(key => key.status === 'active' && key.algorithm === algorithm && key.rotateAt > new Date());
+
+    let key = findCurrent(await loadKeys());
+    if (!key) {
+        await rotateSigningKeys();
+        key = findCurrent(keyCache.keys);
+    }
+    if (!key) {
+        throw new Error('No active signing key available');
+    }
+    return key;
+};
+
+// Keys signed by another instance may not be cached yet; reload, but not on every unknown kid
+const findVerificationKey = async (kid) => {
+    let key = (await loadKeys()).find(entry => entry.kid === kid);
+    if (!key && Date.now() - lastForcedReloadAt > MIN_RELOAD_INTERVAL_MS) {
+        lastForcedReloadAt = Date.now();
+        key = (await loadKeys({ force: true })).find(entry => entry.kid === kid);
+    }
+    return key;
+};
+
+// jsonwebtoken has no EdDSA support, so those tokens are signed and checked here
+const signEdDsa = (payload, key, expiresInSeconds) => {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg: 'EdDSA', typ: 'JWT', kid: key.kid })}.${encode({ ...payload, iat: now, exp: now + expiresInSeconds })}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+};
+
+const verifyEdDsa = (token, key) => {
+    const [header, payload, signature] = token.split('.');
+    const isValid = crypto.verify(null, Buffer.from(`${header}.${payload}`), key.publicKey, Buffer.from(signature, 'base64url'));
+    if (!isValid) {
+        throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.exp === 'number' && Math.floor(Date.now() / 1000) >= claims.exp) {
+        throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+    }
+    return claims;
+};
+
+// Sign an access token with the current key
+export const signAccessToken = async (payload, expiresInSeconds) => {
+    const key = await getCurrentSigningKey();
+    if (key.algorithm === 'EdDSA') {
+        return signEdDsa(payload, key, expiresInSeconds);
+    }
+    return jwt.sign(payload, key.privateKey, { algorithm: 'RS256', keyid: key.kid, expiresIn: expiresInSeconds });
+};
+
+// Verify an access token by its kid; throws jsonwebtoken errors like jwt.verify
+export const verifyAccessToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded?.header?.kid) {
+        throw new jwt.JsonWebTokenError('jwt must have a kid header');
+    }
+
+    const key = await findVerificationKey(decoded.header.kid);
+    if (!key) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    if (decoded.header.alg !== key.algorithm) {
+        throw new jwt.JsonWebTokenError('invalid algorithm');
+    }
+
+    if (key.algorithm === 'EdDSA') {
+        return verifyEdDsa(token, key);
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: ['RS256'] });
+};
+
+// Public keys of active and retired keys in JWK Set format
+export const getJwks = async () => {
+    const keys = await loadKeys();
+    return {
+        keys: keys.map(key => ({
+            ...key.publicKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.algorithm,
+            use: 'sig'
+        }))
+    };
+};
+
+// Metadata about the current keys, without key material
+export const listSigningKeys = async () => {
+    return SigningKey.find()
+        .select('kid algorithm status rotateAt retiredAt removeAt createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+};
+
+// Create the first key if needed and check hourly whether rotation is due
+export const startKeyRotation = () => {
+    const checkRotation = () => {
+        getCurrentSigningKey().catch(error => {
+            console.error('Signing key rotation check failed:', error);
+        });
+    };
+
+    checkRotation();
+    setInterval(checkRotation, ROTATION_CHECK_INTERVAL_MS).unref();
+};
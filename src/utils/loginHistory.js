@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import LoginEvent from '../models/LoginEvent.js';
+import { TOKEN_PURPOSES, createOneTimeToken } from './oneTimeTokens.js';
+import { sendNewDeviceLoginEmail } from './emailVerification.js';
+
+const LOGIN_REPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+    ['Windows', /Windows/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['ChromeOS', /CrOS/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+];
+
+const matchName = (userAgent, patterns) => {
+    const match = patterns.find(([, pattern]) => pattern.test(userAgent));
+    return match ? match[0] : 'Unknown';
+};
+
+// Coarse device description from the user agent. Versions are ignored so
+// updates don't make a known device look new.
+export const getDeviceInfo = (req) => {
+    const userAgent = req.get('User-Agent') || '';
+    const browser = matchName(userAgent, BROWSERS);
+    const os = matchName(userAgent, OPERATING_SYSTEMS);
+
+    let type = 'desktop';
+    if (/iPad|Tablet/.test(userAgent)) type = 'tablet';
+    else if (/Mobi|iPhone|Android/.test(userAgent)) type = 'mobile';
+    else if (!userAgent) type = 'unknown';
+
+    return {
+        deviceId: crypto.createHash('sha256').update(`${browser}|${os}|${type}`).digest('hex').slice(0, 32),
+        device: { browser, os, type }
+    };
+};
+
+// Record a login or refresh attempt with the request details
+export const recordLoginEvent = async (req, { user, email, type, success, failureReason = null, sessionId, newDevice = false }) => {
+    return LoginEvent.create({
+        user: user?._id || user,
+        email: email || user?.email,
+        type,
+        success,
+        failureReason,
+        session: sessionId,
+        ipAddress: req.ip || req.connection?.remoteAddress || '',
+        userAgent: req.get('User-Agent') || '',
+        ...getDeviceInfo(req),
+        newDevice
+    });
+};
+
+// Record a failed login or refresh without letting a logging error change the response
+export const recordFailedAttempt = (req, details) => {
+    return recordLoginEvent(req, { ...details, success: false }).catch(error => {
+        console.error('Failed to record login event:', error);
+    });
+};
+
+// Send the 403 response for an account whose login was reported as not the
+// user's. Every login step refuses it until the password is reset, as the
+// person behind the reported login may still know it.
+export const sendPasswordResetRequiredResponse = (res) => {
+    return res.status(403).json({
+        success: false,
+        message: 'Your password must be reset before you can log in. Use forgot password to choose a new one.'
+    });
+};
+
+// Record a successful login and, when it comes from a device the user hasn't
+// logged in from before, email them a link to report it
+export const recordSuccessfulLogin = async (req, user, sessionId) => {
+    const { deviceId } = getDeviceInfo(req);
+
+    // A first login ever isn't news to anyone
+    const [hasHistory, knownDevice] = await Promise.all([
+        LoginEvent.exists({ user: user._id, type: 'login', success: true }),
+        LoginEvent.exists({ user: user._id, type: 'login', success: true, deviceId })
+    ]);
+    const newDevice = !!hasHistory && !knownDevice;
+
+    const event = await recordLoginEvent(req, { user, type: 'login', success: true, sessionId, newDevice });
+
+    if (newDevice) {
+        // Each alert keeps its own link, so an earlier email stays usable
+        createOneTimeToken({
+            userId: user._id,
+            purpose: TOKEN_PURPOSES.LOGIN_REPORT,
+            expiresInMs: LOGIN_REPORT_TTL_MS,
+            data: { loginEventId: event._id.toString() },
+            replaceExisting: false
+        })
+            .then(reportToken => sendNewDeviceLoginEmail(user, event, reportToken))
+            .catch(emailError => {
+                console.error('Failed to send new device login email:', emailError);
+            });
+    }
+
+    return event;
+};
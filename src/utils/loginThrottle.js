@@ -0,0 +1,111 @@
+import User from '../models/User.js';
+import { TOKEN_PURPOSES, createOneTimeToken, revokeOneTimeTokens } from './oneTimeTokens.js';
+import { sendAccountLockedEmail } from './emailVerification.js';
+
+const MAX_DELAY_MS = 15 * 60 * 1000; // 15 minutes
+
+// Read lazily; dotenv is loaded after modules are imported
+const getThrottleSettings = () => ({
+    // Failures allowed before any delay is applied
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    // Failures that lock the account
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+    baseDelayMs: (parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1) * 1000,
+    lockoutDurationMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * 60 * 1000
+});
+
+// Returns null when the user may attempt a login now, otherwise
+// { locked, retryAfterSeconds }. Past the free attempts, each failure
+// doubles the wait before the next attempt is accepted.
+export const getLoginBlock = (user, now = Date.now()) => {
+    if (user.lockUntil && user.lockUntil.getTime() > now) {
+        return {
+            locked: true,
+            retryAfterSeconds: Math.ceil((user.lockUntil.getTime() - now) / 1000)
+        };
+    }
+
+    const { freeAttempts, baseDelayMs } = getThrottleSettings();
+    const attempts = user.failedLoginAttempts || 0;
+    if (attempts >= freeAttempts && user.lastFailedLoginAt) {
+        const delay = Math.min(baseDelayMs * 2 ** (attempts - freeAttempts), MAX_DELAY_MS);
+        const nextAttemptAt = user.lastFailedLoginAt.getTime() + delay;
+        if (nextAttemptAt > now) {
+            return {
+                locked: false,
+                retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000)
+            };
+        }
+    }
+
+    return null;
+};
+
+// Send the 423/429 response for a blocked login
+export const sendLoginBlockedResponse = (res, block) => {
+    res.set('Retry-After', String(block.retryAfterSeconds));
+
+    if (block.locked) {
+        return res.status(423).json({
+            success: false,
+            message: 'Account locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+            retryAfterSeconds: block.retryAfterSeconds
+        });
+    }
+
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${block.retryAfterSeconds} seconds.`,
+        retryAfterSeconds: block.retryAfterSeconds
+    });
+};
+
+// Count a failed attempt and lock the account once the limit is reached
+export const recordFailedLogin = async (userId) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+        { new: true }
+    );
+
+    const { maxFailedAttempts, lockoutDurationMs } = getThrottleSettings();
+    if (!user || user.failedLoginAttempts < maxFailedAttempts) {
+        return user;
+    }
+
+    // Only the request that crosses the limit locks the account and sends the email
+    const lockUntil = new Date(Date.now() + lockoutDurationMs);
+    const lockedUser = await User.findOneAndUpdate(
+        { _id: userId, failedLoginAttempts: user.failedLoginAttempts },
+        {
+            failedLoginAttempts: 0,
+            lockUntil
+        },
+        { new: true }
+    );
+
+    if (lockedUser) {
+        // The unlock link is only useful while the lock lasts
+        const unlockToken = await createOneTimeToken({
+            userId,
+            purpose: TOKEN_PURPOSES.ACCOUNT_UNLOCK,
+            expiresInMs: lockoutDurationMs
+        });
+        sendAccountLockedEmail(lockedUser, unlockToken, lockUntil).catch(emailError => {
+            console.error('Failed to send account locked email:', emailError);
+        });
+    }
+
+    return lockedUser || user;
+};
+
+export const clearFailedLogins = async (userId) => {
+    await User.updateOne(
+        { _id: userId },
+        {
+            failedLoginAttempts: 0,
+            $unset: { lastFailedLoginAt: 1, lockUntil: 1 }
+        }
+    );
+    await revokeOneTimeTokens(userId, TOKEN_PURPOSES.ACCOUNT_UNLOCK);
+};
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Provider-agnostic OpenID Connect client (authorization code flow with PKCE).
+// Everything is discovered from the issuer, so any compliant issuer works.
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Errors carry a name so controllers can branch on it
+const createOidcError = (message) => {
+    const error = new Error(message);
+    error.name = 'OidcError';
+    return error;
+};
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(10000)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw createOidcError(body.error_description || body.error || `Request to ${url} failed with ${response.status}`);
+    }
+    return body;
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+export const generateRandomValue = () => base64Url(crypto.randomBytes(32));
+
+export const generateCodeChallenge = (codeVerifier) => {
+    return base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+};
+
+const discover = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        throw createOidcError('Issuer metadata is incomplete');
+    }
+
+    discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+    return metadata;
+};
+
+// Keys are cached per JWKS URI and refetched once when an unknown kid shows up,
+// which is how providers roll their signing keys
+const getSigningKey = async (jwksUri, kid) => {
+    const findKey = (keys) => keys.find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+
+    let keys = jwksCache.get(jwksUri);
+    let jwk = keys && findKey(keys);
+    if (!jwk) {
+        ({ keys = [] } = await fetchJson(jwksUri));
+        jwksCache.set(jwksUri, keys);
+        jwk = findKey(keys);
+    }
+    if (!jwk) {
+        throw createOidcError('No matching signing key for ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Multi-tenant issuers (Microsoft "common") advertise a {tenantid} placeholder,
+// and Google may leave the scheme off the iss claim
+const matchesIssuer = (expected, payload) => {
+    if (expected.includes('{tenantid}')) {
+        return !!payload.tid && payload.iss === expected.replace('{tenantid}', payload.tid);
+    }
+    return payload.iss === expected || `https://${payload.iss}` === expected;
+};
+
+export const createOidcClient = ({ issuer, clientId, clientSecret, redirectUri, scopes = ['openid', 'email', 'profile'] }) => {
+    // URL to send the browser to; state, nonce and the PKCE verifier are kept by the caller
+    const getAuthorizationUrl = async ({ state, nonce, codeVerifier }) => {
+        const metadata = await discover(issuer);
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            scope: scopes.join(' '),
+            state,
+            nonce,
+            code_challenge: generateCodeChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        });
+        return `${metadata.authorization_endpoint}?${params.toString()}`;
+    };
+
+    // Checks signature, issuer, audience, expiry and nonce; returns the claims
+    const verifyIdToken = async (idToken, nonce) => {
+        const metadata = await discover(issuer);
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !decoded.header.kid) {
+            throw createOidcError('Malformed ID token');
+        }
+
+        const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+        const claims = jwt.verify(idToken, key, {
+            algorithms: SUPPORTED_ALGORITHMS,
+            audience: clientId,
+            clockTolerance: 60
+        });
+
+        if (!matchesIssuer(metadata.issuer, claims)) {
+            throw createOidcError('ID token issuer mismatch');
+        }
+        if (claims.nonce !== nonce) {
+            throw createOidcError('ID token nonce mismatch');
+        }
+
+        return claims;
+    };
+
+    // Exchange the authorization code and return the verified ID token claims
+    const handleCallback = async ({ code, codeVerifier, nonce }) => {
+        const metadata = await discover(issuer);
+
+        const tokens = await fetchJson(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri,
+                client_id: clientId,
+                client_secret: clientSecret,
+                code_verifier: codeVerifier
+            })
+        });
+
+        if (!tokens.id_token) {
+            throw createOidcError('Token response did not include an ID token');
+        }
+
+        return verifyIdToken(tokens.id_token, nonce);
+    };
+
+    return {
+        getAuthorizationUrl,
+        handleCallback,
+        verifyIdToken
+    };
+};
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import OneTimeToken from '../models/OneTimeToken.js';
+import { hashToken } from './authTokens.js';
+
+// Tokens sent in email links (verification, reset, login, invitations). Only a hash
+// is stored, so a database leak doesn't hand out working links, and a token
+// is marked used in the same update that checks it, so it works exactly once.
+export const TOKEN_PURPOSES = {
+    EMAIL_VERIFICATION: 'email_verification',
+    PASSWORD_RESET: 'password_reset',
+    MAGIC_LINK: 'magic_link',
+    ACCOUNT_UNLOCK: 'account_unlock',
+    EMAIL_CHANGE: 'email_change',
+    INVITATION: 'invitation',
+    LOGIN_REPORT: 'login_report',
+    ACCOUNT_DELETION_CANCEL: 'account_deletion_cancel'
+};
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const validTokenFilter = (token, purpose) => ({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+// Create a token for a user or an invitation and return it; only its hash is
+// saved. Unless replaceExisting is false, unused tokens for the same owner and
+// purpose are removed, so only the latest link works.
+export const createOneTimeToken = async ({ userId, invitationId, purpose, expiresInMs, data, replaceExisting = true }) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const owner = invitationId ? { invitation: invitationId } : { user: userId };
+
+    if (replaceExisting) {
+        await OneTimeToken.deleteMany({ ...owner, purpose, usedAt: null });
+    }
+    await OneTimeToken.create({
+        tokenHash: hashToken(token),
+        purpose,
+        ...owner,
+        data,
+        expiresAt: new Date(Date.now() + expiresInMs)
+    });
+
+    return token;
+};
+
+// Verification links are tied to the address they were sent to
+export const createEmailVerificationToken = (user) => createOneTimeToken({
+    userId: user._id,
+    purpose: TOKEN_PURPOSES.EMAIL_VERIFICATION,
+    expiresInMs: EMAIL_VERIFICATION_TTL_MS,
+    data: { email: user.email }
+});
+
+// Use a token: returns the token document, or null when it is unknown,
+// expired, already used or meant for something else
+export const consumeOneTimeToken = async (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    return OneTimeToken.findOneAndUpdate(
+        validTokenFilter(token, purpose),
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Undo consumeOneTimeToken when the work it guarded failed, so the link works again
+export const releaseOneTimeToken = async (tokenDoc) => {
+    await OneTimeToken.updateOne({ _id: tokenDoc._id }, { usedAt: null });
+};
+
+// Check a token without using it, e.g. before showing the reset password form
+export const findValidOneTimeToken = async (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    return OneTimeToken.findOne(validTokenFilter(token, purpose));
+};
+
+// Invalidate a user's unused tokens for a purpose
+export const revokeOneTimeTokens = async (userId, purpose) => {
+    await OneTimeToken.deleteMany({ user: userId, purpose, usedAt: null });
+};
+
+// Invalidate the link of an invitation, e.g. when it is revoked
+export const revokeInvitationTokens = async (invitationId) => {
+    await OneTimeToken.deleteMany({ invitation: invitationId, usedAt: null });
+};
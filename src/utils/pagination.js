@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+
+// Pagination shared by the list endpoints. Pages are fetched by number, or
+// with the opaque cursor from the previous page, which stays fast however deep
+// the client goes. Sorting is limited to each endpoint's whitelisted fields;
+// _id is always added last so the order, and so the cursor, is stable.
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+const MAX_SORT_FIELDS = 3;
+// Past this, skip gets slow and clients should follow cursors instead
+const MAX_OFFSET = 10000;
+
+const createPaginationError = (message) => {
+    const error = new Error(message);
+    error.name = 'PaginationError';
+    return error;
+};
+
+// Parse "-createdAt,fullName" (or the older sortBy/sortOrder pair) into
+// [[field, direction], ...] ending with _id. Throws a PaginationError for
+// fields that are not in sortFields.
+export const parseSort = (query, { sortFields, defaultSort = '-createdAt' }) => {
+    let spec = query.sort || defaultSort;
+    if (!query.sort && query.sortBy) {
+        spec = `${query.sortOrder === 'asc' ? '' : '-'}${query.sortBy}`;
+    }
+
+    const sort = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => (
+        part.startsWith('-') ? [part.slice(1), -1] : [part.replace(/^\+/, ''), 1]
+    ));
+
+    const fields = sort.map(([field]) => field);
+    const unknown = fields.filter(field => !sortFields.includes(field));
+    if (unknown.length > 0) {
+        throw createPaginationError(`Cannot sort by ${unknown.join(', ')}. Sortable fields: ${sortFields.join(', ')}`);
+    }
+    if (sort.length === 0 || sort.length > MAX_SORT_FIELDS || new Set(fields).size !== fields.length) {
+        throw createPaginationError(`Sort by 1 to ${MAX_SORT_FIELDS} different fields`);
+    }
+
+    return [...sort, ['_id', sort[sort.length - 1][1]]];
+};
+
+const getSortKey = (sort) => sort.map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+// Cursor values are plain JSON, so dates and ObjectIds are tagged to survive the round trip
+const encodeValue = (value) => {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value ?? null;
+};
+
+// Only accept what encodeValue produces; anything else could smuggle query operators in
+const decodeValue = (value) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+
+    if (typeof value.$date === 'string' && !isNaN(Date.parse(value.$date))) return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+        return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw createPaginationError('Invalid cursor');
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const encodeCursor = (doc, sort) => {
+    const payload = { s: getSortKey(sort), v: sort.map(([field]) => encodeValue(getPath(doc, field))) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw createPaginationError('Invalid cursor');
+    }
+
+    if (!payload || typeof payload.s !== 'string' || !Array.isArray(payload.v)) {
+        throw createPaginationError('Invalid cursor');
+    }
+    // A cursor only means something in the order it was created for
+    if (payload.s !== getSortKey(sort) || payload.v.length !== sort.length) {
+        throw createPaginationError('Cursor does not match the requested sort');
+    }
+
+    return payload.v.map(decodeValue);
+};
+
+// Documents after the cursor position: for a sort on a, b, _id that is
+// a past the cursor, or a equal and b past it, or a and b equal and _id past it
+const cursorFilter = (sort, values) => ({
+    $or: sort.map(([field, direction], index) => ({
+        ...Object.fromEntries(sort.slice(0, index).map(([previousField], i) => [previousField, values[i]])),
+        [field]: { [direction > 0 ? '$gt' : '$lt']: values[index] }
+    }))
+});
+
+// Read limit, page, cursor and sort from the query string. Throws a
+// PaginationError for an unknown sort field, a bad cursor or a page too deep.
+export const parsePagination = (query, { sortFields, defaultSort, defaultLimit = DEFAULT_PAGE_SIZE }) => {
+    const sort = parseSort(query, { sortFields, defaultSort });
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+
+    if (query.cursor) {
+        return { limit, sort, cursor: decodeCursor(query.cursor, sort), page: null };
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    if ((page - 1) * limit > MAX_OFFSET) {
+        throw createPaginationError('Page is too deep; follow nextCursor from the previous page instead');
+    }
+
+    return { limit, sort, cursor: null, page };
+};
+
+// Fetch one page of Model matching filter. `customize` can add select,
+// populate or lean to the query. Returns the documents and the pagination
+// metadata every list endpoint responds with.
+export const paginate = async (Model, filter, { limit, sort, cursor, page }, customize = query => query) => {
+    // Kept out of the top level so filters that use $or, or mention deletedAt, still work
+    const pageFilter = cursor
+        ? { ...filter, $and: [...(filter.$and || []), cursorFilter(sort, cursor)] }
+        : filter;
+
+    let query = Model.find(pageFilter).sort(Object.fromEntries(sort)).limit(limit + 1);
+    if (!cursor) query = query.skip((page - 1) * limit);
+
+    const [docs, total] = await Promise.all([
+        customize(query),
+        Model.countDocuments(filter)
+    ]);
+
+    const hasNext = docs.length > limit;
+    const items = docs.slice(0, limit);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        items,
+        pagination: {
+            limit,
+            sort: getSortKey(sort.slice(0, -1)),
+            total,
+            totalPages,
+            page,
+            hasNext,
+            hasPrev: cursor ? true : page > 1,
+            nextCursor: hasNext ? encodeCursor(items[items.length - 1], sort) : null
+        }
+    };
+};
+
+// Send the 400 response for a PaginationError
+export const sendPaginationError = (res, error) => {
+    return res.status(400).json({
+        success: false,
+        message: error.message
+    });
+};
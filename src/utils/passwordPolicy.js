@@ -0,0 +1,104 @@
+import fs from 'fs';
+
+// Password rules applied wherever a password is chosen: signup, reset,
+// change, invitations and admin-created accounts. Configured through env.
+const COMMON_PASSWORDS_FILE = new URL('../data/common-passwords.txt', import.meta.url);
+
+// bcrypt only uses the first 72 bytes of a password
+const BCRYPT_MAX_BYTES = 72;
+
+const LEET_SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+let commonPasswords = null;
+
+const readFlag = (name, defaultValue) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return defaultValue;
+    return value === 'true';
+};
+
+// Read lazily; dotenv is loaded after modules are imported
+export const getPasswordPolicy = () => ({
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || BCRYPT_MAX_BYTES, BCRYPT_MAX_BYTES),
+    requireUppercase: readFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireLowercase: readFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireNumber: readFlag('PASSWORD_REQUIRE_NUMBER', true),
+    requireSymbol: readFlag('PASSWORD_REQUIRE_SYMBOL', false),
+    disallowPersonalInfo: readFlag('PASSWORD_DISALLOW_PERSONAL_INFO', true),
+    disallowCommon: readFlag('PASSWORD_DISALLOW_COMMON', true)
+});
+
+// The bundled list is read once, on first use
+const getCommonPasswords = () => {
+    if (!commonPasswords) {
+        commonPasswords = new Set(
+            fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    }
+    return commonPasswords;
+};
+
+// Also catches variations like "Password123!" and "P@ssw0rd"
+const isCommonPassword = (password) => {
+    const lower = password.toLowerCase();
+    const withoutSuffix = lower.replace(/[\d\W_]+$/, '');
+    const unleet = (value) => value.replace(/[@430$157!]/g, char => LEET_SUBSTITUTIONS[char]);
+
+    const list = getCommonPasswords();
+    return [lower, withoutSuffix, unleet(lower), unleet(withoutSuffix)].some(candidate => candidate && list.has(candidate));
+};
+
+// Parts of the email and name long enough to be meaningful inside a password
+const getPersonalTerms = ({ email, fullName } = {}) => {
+    const localPart = email ? email.split('@')[0] : '';
+    const terms = [localPart, ...localPart.split(/[._+-]+/), ...(fullName || '').split(/\s+/)];
+    return [...new Set(terms.map(term => term.toLowerCase()).filter(term => term.length >= 3))];
+};
+
+// Returns the rules a password breaks as [{ rule, message }]; empty when it is acceptable.
+// `user` supplies the email and name the password must not contain.
+export const validatePassword = (password, user = {}) => {
+    const policy = getPasswordPolicy();
+    const errors = [];
+
+    if (typeof password !== 'string') {
+        return [{ rule: 'required', message: 'Password is required.' }];
+    }
+
+    if (password.length < policy.minLength) {
+        errors.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters.` });
+    }
+    if (password.length > policy.maxLength || Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+        errors.push({ rule: 'maxLength', message: `Password must be at most ${policy.maxLength} characters.` });
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        errors.push({ rule: 'uppercase', message: 'Password must contain an uppercase letter.' });
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        errors.push({ rule: 'lowercase', message: 'Password must contain a lowercase letter.' });
+    }
+    if (policy.requireNumber && !/\d/.test(password)) {
+        errors.push({ rule: 'number', message: 'Password must contain a number.' });
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        errors.push({ rule: 'symbol', message: 'Password must contain a symbol.' });
+    }
+    if (policy.disallowPersonalInfo) {
+        const lower = password.toLowerCase();
+        if (getPersonalTerms(user).some(term => lower.includes(term))) {
+            errors.push({ rule: 'personalInfo', message: 'Password must not contain your email address or name.' });
+        }
+    }
+    if (policy.disallowCommon && isCommonPassword(password)) {
+        errors.push({ rule: 'common', message: 'This password is too common or has appeared in a data breach.' });
+    }
+
+    return errors;
+};
+
+// Message listing every rule a password breaks
+export const formatPasswordErrors = (errors) => errors.map(error => error.message).join(' ');
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { encrypt, decrypt } from './encryption.js';
+import User from '../models/User.js';
+
+// RFC 6238 time-based one-time passwords, compatible with authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+export const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/\s+/g, '').replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226
+export const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+export const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+};
+
+export const generateTotp = (secret, timestamp = Date.now()) => {
+    return generateHotp(secret, getTimeStep(timestamp));
+};
+
+// Returns the matching time step, or null. One step of drift either way is
+// accepted; steps at or before `lastUsedStep` are rejected to stop replays.
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = getTimeStep();
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+export const buildOtpauthUrl = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || 'Modern Design';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted at rest so a database dump alone can't generate codes
+const getEncryptionKeyMaterial = () => process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+export const encryptSecret = (secret) => encrypt(secret, getEncryptionKeyMaterial());
+
+export const decryptSecret = (payload) => decrypt(payload, getEncryptionKeyMaterial());
+
+export const hashRecoveryCode = (code) => {
+    return crypto.createHash('sha256')
+        .update(String(code).trim().toLowerCase().replace(/[\s-]+/g, ''))
+        .digest('hex');
+};
+
+// Plain codes are shown to the user once; only their hashes are stored
+export const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode)
+    };
+};
+
+// User fields holding 2FA secrets, all excluded from queries by default
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP code or, failing that, a recovery code. Both are consumed
+// atomically so the same code can't be used twice in parallel requests.
+// `user` must be loaded with TWO_FACTOR_SECRET_FIELDS.
+export const verifySecondFactor = async (user, code) => {
+    if (!code) return false;
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+        lastUsedStep: user.twoFactor.lastUsedStep ?? null
+    });
+    if (step !== null) {
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': null },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    const codeHash = hashRecoveryCode(code);
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+};
@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../../src/models/RefreshToken.js';
+import UserSession from '../../src/models/UserSession.js';
+import { hashToken, rotateRefreshToken } from '../../src/utils/authTokens.js';
+
+const USER_ID = '64b000000000000000000001';
+const FAMILY = '64b0000000000000000000aa';
+
+const signRefreshToken = () => jwt.sign(
+    { id: USER_ID, tv: 0, family: FAMILY },
+    process.env.REFRESH_TOKEN_SECRET,
+    { expiresIn: '7d', jwtid: 'test-token' }
+);
+
+describe('rotateRefreshToken', () => {
+    let revokedSessions;
+    let revokedFamilies;
+
+    beforeEach(() => {
+        process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+        revokedSessions = [];
+        revokedFamilies = [];
+        mock.method(UserSession, 'updateOne', async (filter, update) => {
+            revokedSessions.push({ id: filter._id, reason: update.revokedReason });
+        });
+        mock.method(RefreshToken, 'updateMany', async (filter) => {
+            revokedFamilies.push(filter.family);
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('claims an unused token and returns its owner and family', async () => {
+        const token = signRefreshToken();
+        const claim = mock.method(RefreshToken, 'findOneAndUpdate', async () => ({ user: USER_ID, family: FAMILY }));
+
+        const result = await rotateRefreshToken(token);
+
+        assert.equal(result.userId, USER_ID);
+        assert.equal(result.family, FAMILY);
+        assert.equal(result.decoded.id, USER_ID);
+        // Only a token that is neither used nor revoked can be claimed
+        assert.deepEqual(claim.mock.calls[0].arguments[0], { tokenHash: hashToken(token), usedAt: null, revokedAt: null });
+        assert.deepEqual(revokedSessions, []);
+    });
+
+    it('revokes the whole family when a used token is presented again', async () => {
+        mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+        mock.method(RefreshToken, 'findOne', async () => ({ user: USER_ID, family: FAMILY, usedAt: new Date() }));
+
+        await assert.rejects(rotateRefreshToken(signRefreshToken()), (error) => {
+            assert.equal(error.name, 'RefreshTokenReuseError');
+            assert.equal(error.userId, USER_ID);
+            return true;
+        });
+
+        assert.deepEqual(revokedSessions, [{ id: FAMILY, reason: 'reuse_detected' }]);
+        assert.deepEqual(revokedFamilies, [FAMILY]);
+    });
+
+    it('rejects a revoked token without revoking the family again', async () => {
+        mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+        mock.method(RefreshToken, 'findOne', async () => ({ user: USER_ID, family: FAMILY, usedAt: null, revokedAt: new Date() }));
+
+        await assert.rejects(rotateRefreshToken(signRefreshToken()), { name: 'RefreshTokenRevokedError' });
+        assert.deepEqual(revokedSessions, []);
+    });
+
+    it('rejects a validly signed token that was never issued', async () => {
+        mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+        mock.method(RefreshToken, 'findOne', async () => null);
+
+        await assert.rejects(rotateRefreshToken(signRefreshToken()), { name: 'JsonWebTokenError' });
+    });
+
+    it('rejects a token signed with another secret before touching the database', async () => {
+        const claim = mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+        const token = jwt.sign({ id: USER_ID, family: FAMILY }, 'another-secret');
+
+        await assert.rejects(rotateRefreshToken(token), { name: 'JsonWebTokenError' });
+        assert.equal(claim.mock.callCount(), 0);
+    });
+});
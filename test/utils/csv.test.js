@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvValue, toCsvRow, parseCsv } from '../../src/utils/csv.js';
+
+describe('toCsvValue', () => {
+    it('prefixes values a spreadsheet would run as a formula', () => {
+        assert.equal(toCsvValue('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+        assert.equal(toCsvValue('+1+2'), '\'+1+2');
+        assert.equal(toCsvValue('-2+3'), '\'-2+3');
+        assert.equal(toCsvValue('@SUM(A1)'), '\'@SUM(A1)');
+        assert.equal(toCsvValue('\tcmd'), '\'\tcmd');
+        assert.equal(toCsvValue('\rcmd'), '"\'\rcmd"');
+    });
+
+    it('leaves ordinary values alone', () => {
+        assert.equal(toCsvValue('Ada Lovelace'), 'Ada Lovelace');
+        assert.equal(toCsvValue('a=b'), 'a=b');
+        assert.equal(toCsvValue(42), '42');
+        assert.equal(toCsvValue(false), 'false');
+        assert.equal(toCsvValue(null), '');
+        assert.equal(toCsvValue(undefined), '');
+    });
+
+    it('quotes separators, quotes and newlines', () => {
+        assert.equal(toCsvValue('Lovelace, Ada'), '"Lovelace, Ada"');
+        assert.equal(toCsvValue('say "hi"'), '"say ""hi"""');
+        assert.equal(toCsvValue('two\nlines'), '"two\nlines"');
+    });
+
+    it('writes dates as ISO strings', () => {
+        assert.equal(toCsvValue(new Date('2026-01-31T12:00:00Z')), '2026-01-31T12:00:00.000Z');
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads back what toCsvRow writes', () => {
+        const values = ['Lovelace, Ada', 'say "hi"', 'two\nlines', ''];
+        assert.deepEqual(parseCsv(toCsvRow(values)), [values]);
+    });
+
+    it('handles a BOM, CRLF line endings and blank lines', () => {
+        assert.deepEqual(parseCsv('\uFEFFemail,fullName\r\n\r\na@x.io,Ada\r\n'), [
+            ['email', 'fullName'],
+            ['a@x.io', 'Ada']
+        ]);
+    });
+
+    it('throws on an unterminated quote', () => {
+        assert.throws(() => parseCsv('email\n"a@x.io'), /Unterminated quoted field/);
+    });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { parsePagination, parseSort, paginate } from '../../src/utils/pagination.js';
+
+const SORT_FIELDS = ['createdAt', 'fullName'];
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// A Model stand-in that records the query paginate builds
+const fakeModel = (docs, total = docs.length) => {
+    const calls = {};
+    const query = {
+        sort(sort) { calls.sort = sort; return query; },
+        limit(limit) { calls.limit = limit; return query; },
+        skip(skip) { calls.skip = skip; return query; },
+        then(resolve, reject) { return Promise.resolve(docs).then(resolve, reject); }
+    };
+    return {
+        calls,
+        find(filter) { calls.filter = filter; return query; },
+        countDocuments: async (filter) => { calls.countFilter = filter; return total; }
+    };
+};
+
+describe('parseSort', () => {
+    it('parses fields and directions and adds _id last', () => {
+        assert.deepEqual(parseSort({ sort: '-createdAt,fullName' }, { sortFields: SORT_FIELDS }), [
+            ['createdAt', -1],
+            ['fullName', 1],
+            ['_id', 1]
+        ]);
+    });
+
+    it('accepts the older sortBy and sortOrder pair', () => {
+        assert.deepEqual(parseSort({ sortBy: 'fullName', sortOrder: 'asc' }, { sortFields: SORT_FIELDS }), [
+            ['fullName', 1],
+            ['_id', 1]
+        ]);
+    });
+
+    it('rejects fields outside the whitelist', () => {
+        assert.throws(() => parseSort({ sort: 'password' }, { sortFields: SORT_FIELDS }), {
+            name: 'PaginationError',
+            message: /Cannot sort by password/
+        });
+    });
+
+    it('rejects repeated fields', () => {
+        assert.throws(() => parseSort({ sort: 'fullName,-fullName' }, { sortFields: SORT_FIELDS }), { name: 'PaginationError' });
+    });
+});
+
+describe('parsePagination', () => {
+    it('caps the limit and defaults to the first page', () => {
+        const params = parsePagination({ limit: '500' }, { sortFields: SORT_FIELDS });
+        assert.equal(params.limit, 100);
+        assert.equal(params.page, 1);
+        assert.equal(params.cursor, null);
+    });
+
+    it('refuses pages past the offset limit', () => {
+        assert.throws(() => parsePagination({ page: '1000', limit: '100' }, { sortFields: SORT_FIELDS }), { name: 'PaginationError' });
+    });
+
+    it('decodes a cursor into typed values', () => {
+        const id = new mongoose.Types.ObjectId();
+        const cursor = encode({ s: '-createdAt,-_id', v: [{ $date: '2026-01-31T00:00:00.000Z' }, { $oid: id.toString() }] });
+
+        const params = parsePagination({ cursor, sort: '-createdAt' }, { sortFields: SORT_FIELDS });
+
+        assert.equal(params.page, null);
+        assert.ok(params.cursor[0] instanceof Date);
+        assert.equal(params.cursor[0].toISOString(), '2026-01-31T00:00:00.000Z');
+        assert.ok(params.cursor[1] instanceof mongoose.Types.ObjectId);
+        assert.ok(params.cursor[1].equals(id));
+    });
+
+    it('rejects a cursor that is not valid base64 JSON', () => {
+        assert.throws(() => parsePagination({ cursor: 'not-a-cursor' }, { sortFields: SORT_FIELDS }), {
+            name: 'PaginationError',
+            message: 'Invalid cursor'
+        });
+    });
+
+    it('rejects a cursor made for another sort', () => {
+        const cursor = encode({ s: 'fullName,_id', v: ['Ada', { $oid: new mongoose.Types.ObjectId().toString() }] });
+        assert.throws(() => parsePagination({ cursor, sort: '-createdAt' }, { sortFields: SORT_FIELDS }), {
+            name: 'PaginationError',
+            message: 'Cursor does not match the requested sort'
+        });
+    });
+
+    it('rejects cursor values carrying query operators', () => {
+        const cursor = encode({ s: '-createdAt,-_id', v: [{ $ne: null }, { $oid: new mongoose.Types.ObjectId().toString() }] });
+        assert.throws(() => parsePagination({ cursor, sort: '-createdAt' }, { sortFields: SORT_FIELDS }), {
+            name: 'PaginationError',
+            message: 'Invalid cursor'
+        });
+    });
+});
+
+describe('paginate', () => {
+    const docs = [
+        { _id: new mongoose.Types.ObjectId(), fullName: 'Ada' },
+        { _id: new mongoose.Types.ObjectId(), fullName: 'Bob' },
+        { _id: new mongoose.Types.ObjectId(), fullName: 'Cy' }
+    ];
+
+    it('returns a cursor that continues after the last item of the page', async () => {
+        const Model = fakeModel(docs, 5);
+        const params = parsePagination({ limit: '2', sort: 'fullName' }, { sortFields: SORT_FIELDS });
+
+        const { items, pagination } = await paginate(Model, { role: 'user' }, params);
+
+        assert.deepEqual(items, docs.slice(0, 2));
+        assert.equal(Model.calls.limit, 3);
+        assert.equal(pagination.hasNext, true);
+        assert.equal(pagination.total, 5);
+
+        const next = parsePagination({ limit: '2', sort: 'fullName', cursor: pagination.nextCursor }, { sortFields: SORT_FIELDS });
+        assert.equal(next.cursor[0], 'Bob');
+        assert.ok(next.cursor[1].equals(docs[1]._id));
+    });
+
+    it('keeps the cursor condition out of the top-level filter', async () => {
+        const Model = fakeModel(docs.slice(0, 1));
+        const cursor = encode({ s: 'fullName,_id', v: ['Ada', { $oid: docs[0]._id.toString() }] });
+        const params = parsePagination({ limit: '2', sort: 'fullName', cursor }, { sortFields: SORT_FIELDS });
+        const filter = { deletedAt: { $ne: null }, $or: [{ fullName: /a/ }] };
+
+        const { pagination } = await paginate(Model, filter, params);
+
+        assert.deepEqual(Model.calls.filter.deletedAt, { $ne: null });
+        assert.deepEqual(Model.calls.filter.$or, filter.$or);
+        assert.equal(Model.calls.filter.$and.length, 1);
+        assert.equal(Model.calls.skip, undefined);
+        assert.deepEqual(Model.calls.countFilter, filter);
+        assert.equal(pagination.hasNext, false);
+        assert.equal(pagination.nextCursor, null);
+    });
+});
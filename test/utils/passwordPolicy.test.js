@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPasswordPolicy, validatePassword, formatPasswordErrors } from '../../src/utils/passwordPolicy.js';
+
+const POLICY_VARIABLES = [
+    'PASSWORD_MIN_LENGTH',
+    'PASSWORD_MAX_LENGTH',
+    'PASSWORD_REQUIRE_UPPERCASE',
+    'PASSWORD_REQUIRE_LOWERCASE',
+    'PASSWORD_REQUIRE_NUMBER',
+    'PASSWORD_REQUIRE_SYMBOL',
+    'PASSWORD_DISALLOW_PERSONAL_INFO',
+    'PASSWORD_DISALLOW_COMMON'
+];
+
+const rulesBroken = (password, user) => validatePassword(password, user).map(error => error.rule);
+
+describe('validatePassword', () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        savedEnv = Object.fromEntries(POLICY_VARIABLES.map(name => [name, process.env[name]]));
+        POLICY_VARIABLES.forEach(name => delete process.env[name]);
+    });
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    it('accepts a password that meets the default policy', () => {
+        assert.deepEqual(validatePassword('Violet-Harbour-42', { email: 'ada@example.com', fullName: 'Ada Lovelace' }), []);
+    });
+
+    it('reports every rule a password breaks', () => {
+        assert.deepEqual(rulesBroken('abc'), ['minLength', 'uppercase', 'number']);
+        assert.deepEqual(rulesBroken('ALLUPPERCASE1'), ['lowercase']);
+    });
+
+    it('requires a password', () => {
+        assert.deepEqual(rulesBroken(undefined), ['required']);
+    });
+
+    it('limits the length to what bcrypt uses', () => {
+        assert.deepEqual(rulesBroken(`Aa1${'x'.repeat(70)}`), ['maxLength']);
+        // Multi-byte characters count by their UTF-8 size
+        assert.deepEqual(rulesBroken(`Aa1${'é'.repeat(35)}`), ['maxLength']);
+    });
+
+    it('rejects common passwords and their obvious variations', () => {
+        assert.ok(rulesBroken('Password123').includes('common'));
+        assert.ok(rulesBroken('P@ssw0rd1').includes('common'));
+        assert.ok(rulesBroken('Qwerty2024!').includes('common'));
+    });
+
+    it('rejects passwords containing the email or name', () => {
+        const user = { email: 'ada.lovelace@example.com', fullName: 'Ada Lovelace' };
+        assert.deepEqual(rulesBroken('Lovelace1815!', user), ['personalInfo']);
+        assert.deepEqual(rulesBroken('Violet-Harbour-42', user), []);
+    });
+
+    it('reads the policy from the environment when called', () => {
+        process.env.PASSWORD_MIN_LENGTH = '20';
+        process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+        process.env.PASSWORD_DISALLOW_COMMON = 'false';
+
+        assert.equal(getPasswordPolicy().minLength, 20);
+        assert.deepEqual(rulesBroken('Password123'), ['minLength', 'symbol']);
+    });
+
+    it('never allows more than bcrypt can hash', () => {
+        process.env.PASSWORD_MAX_LENGTH = '200';
+        assert.equal(getPasswordPolicy().maxLength, 72);
+    });
+});
+
+describe('formatPasswordErrors', () => {
+    it('joins the messages with spaces', () => {
+        assert.equal(
+            formatPasswordErrors([{ message: 'First.' }, { message: 'Second.' }]),
+            'First. Second.'
+        );
+    });
+});